@@ -1,6 +1,6 @@
 import {defs, tiny} from './common.js';
 // Pull these names into this module's scope for convenience:
-const {vec3, vec4, color, Mat4, Light, Shape, Material, Shader, Texture, Scene} = tiny;
+const {vec3, vec4, color, Mat4, Matrix_Stack, Light, Shape, Material, Shader, Texture, Scene} = tiny;
 
 export class Axes_Viewer extends Scene {
     // **Axes_Viewer** is a helper scene (a secondary Scene Component) for helping you
@@ -17,6 +17,10 @@ export class Axes_Viewer extends Scene {
     // omitting it inserts your basis in the next empty group.  To re-use IDs easily,
     // obtain the next unused ID by calling next_group_id(), so you can re-use it for
     // all bases that you want to appear at the same level.
+
+    // Easier still, build your hierarchy with a Matrix_Stack, passing this object into its
+    // constructor.  Then every push() and pop() inserts a basis, grouped by its depth in the
+    // stack, so there's no need to call insert() or keep track of IDs yourself.
     constructor() {
         super();
 
@@ -115,37 +119,28 @@ export class Axes_Viewer_Test_Scene extends Scene {
         // First, reset the object:
         this.axes_viewer.reset();
 
-        // Next, make your scene as usual, by incrementally modifying a transformation matrix.
-        // In between every matrix operation you want to draw, call insert() on the object as shown.
-        // Remember to use copy() to reference matrices by value so they don't all alias to the same one.
-        let model_transform = Mat4.identity();
-        this.axes_viewer.insert(model_transform.copy());
-        model_transform.post_multiply(Mat4.rotation(t, 0, 1, 0));
-        this.axes_viewer.insert(model_transform.copy());
-        model_transform.post_multiply(Mat4.translation(5, 0, 0));
-        this.axes_viewer.insert(model_transform.copy());
-        // If your scene's hierarchy is about to branch (ie. arms of a human, legs of a table),
-        // we might want to store multiple bases at the same level to draw them simultaneously.
-        // Obtain the next group's ID number:
-        const id = this.axes_viewer.next_group_id();
+        // Next, make your scene using a Matrix_Stack that knows about the Axes_Viewer.  Each time the
+        // stack pushes or pops, the basis it branched from or is leaving gets inserted, at a group
+        // number matching how deep it is in the hierarchy.  Calling record() inserts one manually.
+        // Here we push before every step we want to see, so that each basis gets a group of its own.
+        const stack = new Matrix_Stack(Mat4.identity(), this.axes_viewer);
+        stack.record();                                          // Group 0:  The identity.
+        stack.push().rotate(t, 0, 1, 0).record();                // Group 1:  After rotating.
+        stack.push().translate(5, 0, 0);                         // Group 2:  After moving out.
         // We'll draw our scene's boxes as an outline so it doesn't block the axes.
-        this.shapes.box.draw(context, program_state, model_transform.times(Mat4.scale(2, 2, 2)), this.material, "LINE_STRIP");
+        this.shapes.box.draw(context, program_state, stack.top().times(Mat4.scale(2, 2, 2)), this.material, "LINE_STRIP");
 
-        let center = model_transform.copy();
+        // Our scene's hierarchy is about to branch (ie. arms of a human, legs of a table).  Both branches
+        // start from this spot and then return to it with pop().  Their bases land in the same groups, since
+        // they're at the same depths, so each group shows both branches together.
         for (let side of [-1, 1]) {
-            model_transform = center.copy();      // Our scene returns back to this matrix twice to position the boxes.
-            model_transform.post_multiply(Mat4.translation(side * 2, 2, 0));
-            // Here there will be two different bases depending on our for loop.
-            // By passing in the old ID here, we accomplish saving both bases at the
-            // same hierarchy level so they'll be drawn together.
-            this.axes_viewer.insert(model_transform.copy(), id);
-            model_transform.post_multiply(Mat4.rotation(Math.sin(t), 0, 0, side));
-            // Count up the ID from there:
-            this.axes_viewer.insert(model_transform.copy());
-            model_transform.post_multiply(Mat4.translation(side * 2, 2, 0));
-            this.axes_viewer.insert(model_transform.copy());
+            stack.push().translate(side * 2, 2, 0);                           // Group 3.
+            stack.push().rotate(Math.sin(t), 0, 0, side).record();           // Group 4.
+            stack.push().translate(side * 2, 2, 0);                           // Group 5.
             // Again, draw our scene's boxes as an outline so it doesn't block the axes.
-            this.shapes.box.draw(context, program_state, model_transform.times(Mat4.scale(2, 2, 2)), this.material, "LINE_STRIP");
+            this.shapes.box.draw(context, program_state, stack.top().times(Mat4.scale(2, 2, 2)), this.material, "LINE_STRIP");
+            // Popping records the final basis of each branch, then returns us to where the branch began:
+            stack.pop().pop().pop();
         }
     }
 }
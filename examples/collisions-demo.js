@@ -1,7 +1,10 @@
 import {defs, tiny} from './common.js';
 
 // Pull these names into this module's scope for convenience:
-const {vec3, unsafe3, vec4, color, Mat4, Light, Shape, Material, Shader, Texture, Scene} = tiny;
+const {
+    vec3, unsafe3, vec4, color, Mat4, Quaternion, Random_Generator, Light, Vertex_Buffer, Shape, Material, Shader, Texture,
+    Scene
+} = tiny;
 
 export class Body {
     // **Body** can store and update the properties of a 3D body that incrementally
@@ -23,7 +26,7 @@ export class Body {
 
     emplace(location_matrix, linear_velocity, angular_velocity, spin_axis = vec3(0, 0, 0).randomized(1).normalized()) {                               // emplace(): assign the body's initial values, or overwrite them.
         this.center = location_matrix.times(vec4(0, 0, 0, 1)).to3();
-        this.rotation = Mat4.translation(...this.center.times(-1)).times(location_matrix);
+        this.rotation = Quaternion.from_mat4(Mat4.translation(...this.center.times(-1)).times(location_matrix));
         this.previous = {center: this.center.copy(), rotation: this.rotation.copy()};
         // drawn_location gets replaced with an interpolated quantity:
         this.drawn_location = location_matrix;
@@ -38,19 +41,17 @@ export class Body {
         // Apply the velocities scaled proportionally to real time (time_amount):
         // Linear velocity first, then angular:
         this.center = this.center.plus(this.linear_velocity.times(time_amount));
-        this.rotation.pre_multiply(Mat4.rotation(time_amount * this.angular_velocity, ...this.spin_axis));
+        this.rotation = Quaternion.from_axis_angle(time_amount * this.angular_velocity, ...this.spin_axis)
+            .times(this.rotation).normalized();
     }
 
     // The following are our various functions for testing a single point,
     // p, against some analytically-known geometric volume formula
 
     blend_rotation(alpha) {
-        // blend_rotation(): Just naively do a linear blend of the rotations, which looks
-        // ok sometimes but otherwise produces shear matrices, a wrong result.
-
-        // TODO:  Replace this function with proper quaternion blending, and perhaps
-        // store this.rotation in quaternion form instead for compactness.
-        return this.rotation.map((x, i) => vec4(...this.previous.rotation[i]).mix(x, alpha));
+        // blend_rotation(): Spherically interpolate between the previous and current rotations,
+        // which are stored as quaternions.  Unlike blending matrix rows, this never shears.
+        return this.previous.rotation.slerp(this.rotation, alpha).to_mat4();
     }
 
     blend_state(alpha) {
@@ -88,10 +89,14 @@ export class Body {
 export class Simulation extends Scene {
     // **Simulation** manages the stepping of simulation time.  Subclass it when making
     // a Scene that is a physics demo.  This technique is careful to totally decouple
-    // the simulation from the frame rate (see below).
-    constructor() {
+    // the simulation from the frame rate (see below).  Draw random numbers from this.random,
+    // which is seeded so that every run plays out the same way.
+    constructor(seed = 1) {
         super();
         Object.assign(this, {time_accumulator: 0, time_scale: 1, t: 0, dt: 1 / 20, bodies: [], steps_taken: 0});
+        this.random = new Random_Generator(seed);
+        // Instanced versions of the bodies' shaders, made as needed by draw_bodies():
+        this.instanced_shaders = new Map();
     }
 
     simulate(frame_time) {
@@ -145,9 +150,35 @@ export class Simulation extends Scene {
         // display(): advance the time and state of our whole simulation.
         if (program_state.animate)
             this.simulate(program_state.animation_delta_time);
-        // Draw each shape at its current location:
-        for (let b of this.bodies)
-            b.shape.draw(context, program_state, b.drawn_location, b.material);
+        this.draw_bodies(context, program_state);
+    }
+
+    draw_bodies(context, program_state) {
+        // draw_bodies(): Draw each shape at its current location.  Bodies that share a shape, and whose
+        // materials differ at most by color, are drawn together in one call to draw_instanced().  Fall back
+        // to one draw call per body if the shader can't be instanced, or if the browser can't do it.
+        const can_instance = Vertex_Buffer.instancing_api(context.context);
+        const batches = [];
+        for (let b of this.bodies) {
+            if (!can_instance || !b.material.shader.make_instanced_version) {
+                b.shape.draw(context, program_state, b.drawn_location, b.material);
+                continue;
+            }
+            const same_look = m => Object.keys({...m, ...b.material})
+                .every(key => key == "color" || m[key] === b.material[key]);
+            let batch = batches.find(x => x.shape === b.shape && same_look(x.material));
+            if (!batch)
+                batches.push(batch = {shape: b.shape, material: b.material, transforms: [], colors: []});
+            batch.transforms.push(b.drawn_location);
+            batch.colors.push(b.material.color || color(0, 0, 0, 1));
+        }
+        for (let {shape, material, transforms, colors} of batches) {
+            const shader = material.shader;
+            if (!this.instanced_shaders.has(shader))
+                this.instanced_shaders.set(shader, new (shader.make_instanced_version())(shader.num_lights));
+            shape.draw_instanced(context, program_state, transforms,
+                material.override({shader: this.instanced_shaders.get(shader)}), {instance_color: colors});
+        }
     }
 
     update_state(dt)      // update_state(): Your subclass of Simulation has to override this abstract function.
@@ -179,10 +210,10 @@ export class Test_Data {
         };
     }
 
-    random_shape(shape_list = this.shapes) {
+    random_shape(shape_list = this.shapes, generator = Math) {
         // random_shape():  Extract a random shape from this.shapes.
         const shape_names = Object.keys(shape_list);
-        return shape_list[shape_names[~~(shape_names.length * Math.random())]]
+        return shape_list[shape_names[~~(shape_names.length * generator.random())]]
     }
 }
 
@@ -203,7 +234,7 @@ export class Inertia_Demo extends Simulation {
     }
 
     random_color() {
-        return this.material.override(color(.6, .6 * Math.random(), .6 * Math.random(), 1));
+        return this.material.override(color(.6, .6 * this.random.random(), .6 * this.random.random(), 1));
     }
 
     update_state(dt) {
@@ -211,9 +242,11 @@ export class Inertia_Demo extends Simulation {
         // scene should do to its bodies every frame -- including applying forces.
         // Generate additional moving bodies if there ever aren't enough:
         while (this.bodies.length < 150)
-            this.bodies.push(new Body(this.data.random_shape(), this.random_color(), vec3(1, 1 + Math.random(), 1))
-                .emplace(Mat4.translation(...vec3(0, 15, 0).randomized(10)),
-                    vec3(0, -1, 0).randomized(2).normalized().times(3), Math.random()));
+            this.bodies.push(new Body(this.data.random_shape(undefined, this.random), this.random_color(),
+                vec3(1, 1 + this.random.random(), 1))
+                .emplace(Mat4.translation(...vec3(0, 15, 0).randomized(10, this.random)),
+                    vec3(0, -1, 0).randomized(2, this.random).normalized().times(3), this.random.random(),
+                    vec3(0, 0, 0).randomized(1, this.random).normalized()));
 
         for (let b of this.bodies) {
             // Gravity on Earth, where 1 unit in world space = 1 meter:
@@ -297,12 +330,13 @@ export class Collision_Demo extends Simulation {
         // scene should do to its bodies every frame -- including applying forces.
         // Generate moving bodies:
         while (this.bodies.length < num_bodies)
-            this.bodies.push(new Body(this.data.random_shape(), undefined, vec3(1, 5, 1))
-                .emplace(Mat4.translation(...unsafe3(0, 0, 0).randomized(30))
-                        .times(Mat4.rotation(Math.PI, ...unsafe3(0, 0, 0).randomized(1).normalized())),
-                    unsafe3(0, 0, 0).randomized(20), Math.random()));
+            this.bodies.push(new Body(this.data.random_shape(undefined, this.random), undefined, vec3(1, 5, 1))
+                .emplace(Mat4.translation(...unsafe3(0, 0, 0).randomized(30, this.random))
+                        .times(Mat4.rotation(Math.PI, ...unsafe3(0, 0, 0).randomized(1, this.random).normalized())),
+                    unsafe3(0, 0, 0).randomized(20, this.random), this.random.random(),
+                    vec3(0, 0, 0).randomized(1, this.random).normalized()));
         // Sometimes we delete some so they can re-generate as new ones:
-        this.bodies = this.bodies.filter(b => (Math.random() > .01) || b.linear_velocity.norm() > 1);
+        this.bodies = this.bodies.filter(b => (this.random.random() > .01) || b.linear_velocity.norm() > 1);
 
         const collider = this.colliders[this.collider_selection];
         // Loop through all bodies (call each "a"):
@@ -2,7 +2,7 @@ import {tiny} from '../tiny-graphics.js';
 import {widgets} from '../tiny-graphics-widgets.js';
 // Pull these names into this module's scope for convenience:
 const {
-    Vector, Vector3, vec, vec3, vec4, color, Matrix, Mat4,
+    Vector, Vector3, vec, vec3, vec4, color, Matrix, Mat4, Curve,
     Light, Shape, Material, Shader, Texture, Scene
 } = tiny;
 
@@ -312,8 +312,10 @@ const Surface_Of_Revolution = defs.Surface_Of_Revolution =
         // now let each such point be a row.  Sweep that whole curve around the Z axis in equal
         // steps, stopping and storing new points along the way; let each step be a column. Now
         // we have a flexible "generalized cylinder" spanning an area until total_curvature_angle.
+        // Instead of an array of points, you can pass in a Curve to sweep; the rows will then be
+        // spaced evenly along its length.
         constructor(rows, columns, points, texture_coord_range, total_curvature_angle = 2 * Math.PI) {
-            const row_operation = i => Grid_Patch.sample_array(points, i),
+            const row_operation = points instanceof Curve ? points.sampler(true) : i => Grid_Patch.sample_array(points, i),
                 column_operation = (j, p) => Mat4.rotation(total_curvature_angle / columns, 0, 0, 1).times(p.to4(1)).to3();
 
             super(rows, columns, row_operation, column_operation, texture_coord_range);
@@ -473,14 +475,9 @@ const Basic_Shader = defs.Basic_Shader =
     class Basic_Shader extends Shader {
         // **Basic_Shader** is nearly the simplest example of a subclass of Shader, which stores and
         // maanges a GPU program.  Basic_Shader is a trivial pass-through shader that applies a
-        // shape's matrices and then simply samples literal colors stored at each vertex.
-        update_GPU(context, gpu_addresses, graphics_state, model_transform, material) {
-            // update_GPU():  Defining how to synchronize our JavaScript's variables to the GPU's:
-            const [P, C, M] = [graphics_state.projection_transform, graphics_state.camera_inverse, model_transform],
-                PCM = P.times(C).times(M);
-            context.uniformMatrix4fv(gpu_addresses.projection_camera_model_transform, false,
-                Matrix.flatten_2D_to_1D(PCM.transposed()));
-        }
+        // shape's matrices and then simply samples literal colors stored at each vertex.  It doesn't
+        // need an update_GPU() of its own; the default one sees the uniform variable named
+        // projection_camera_model_transform and sends the matching matrix.
 
         shared_glsl_code() {
             // ********* SHARED CODE, INCLUDED IN BOTH SHADERS *********
@@ -523,7 +520,7 @@ const Funny_Shader = defs.Funny_Shader =
             // update_GPU():  Define how to synchronize our JavaScript's variables to the GPU's:
             const [P, C, M] = [program_state.projection_transform, program_state.camera_inverse, model_transform],
                 PCM = P.times(C).times(M);
-            context.uniformMatrix4fv(gpu_addresses.projection_camera_model_transform, false, Mat.flatten_2D_to_1D(PCM.transposed()));
+            context.uniformMatrix4fv(gpu_addresses.projection_camera_model_transform, false, PCM.data);
             context.uniform1f(gpu_addresses.animation_time, program_state.animation_time / 1000);
         }
 
@@ -576,74 +573,39 @@ const Phong_Shader = defs.Phong_Shader =
         // determining brightness of pixels via vector math.  It compares the normal vector
         // at that pixel with the vectors toward the camera and light sources.
 
-
+        // Its GLSL code lives in the chunks "phong_shared", "phong_vertex", and "phong_fragment" (see
+        // below), which have optional parts that #defines switch on:  USE_TEXTURE decals the Material's
+        // texture image over the shape, BUMP_MAP also uses that image to disturb the normals, and INSTANCED
+        // reads each shape's transform and color per instance, for draw_instanced().  The subclasses below
+        // each turn on some of these, or a Material can pick them directly with a field like
+        // {defines: {USE_TEXTURE: true}}.  Each combination compiles once per canvas and is then re-used.
         constructor(num_lights = 2) {
             super();
             this.num_lights = num_lights;
         }
 
+        glsl_defines(program_state, material) {
+            // glsl_defines(): Size the lists of lights in the GLSL code.
+            return {N_LIGHTS: this.num_lights, ...super.glsl_defines(program_state, material)};
+        }
+
+        settings() {
+            // settings(): Save num_lights along with the Shader.
+            return {num_lights: this.num_lights}
+        }
+
         shared_glsl_code() {
             // ********* SHARED CODE, INCLUDED IN BOTH SHADERS *********
             return ` precision mediump float;
-                const int N_LIGHTS = ` + this.num_lights + `;
-                uniform float ambient, diffusivity, specularity, smoothness;
-                uniform vec4 light_positions_or_vectors[N_LIGHTS], light_colors[N_LIGHTS];
-                uniform float light_attenuation_factors[N_LIGHTS];
-                uniform vec4 shape_color;
-                uniform vec3 squared_scale, camera_center;
-        
-                // Specifier "varying" means a variable's final value will be passed from the vertex shader
-                // on to the next phase (fragment shader), then interpolated per-fragment, weighted by the
-                // pixel fragment's proximity to each of the 3 vertices (barycentric interpolation).
-                varying vec3 N, vertex_worldspace;
-                // ***** PHONG SHADING HAPPENS HERE: *****                                       
-                vec3 phong_model_lights( vec3 N, vec3 vertex_worldspace ){                                        
-                    // phong_model_lights():  Add up the lights' contributions.
-                    vec3 E = normalize( camera_center - vertex_worldspace );
-                    vec3 result = vec3( 0.0 );
-                    for(int i = 0; i < N_LIGHTS; i++){
-                        // Lights store homogeneous coords - either a position or vector.  If w is 0, the 
-                        // light will appear directional (uniform direction from all points), and we 
-                        // simply obtain a vector towards the light by directly using the stored value.
-                        // Otherwise if w is 1 it will appear as a point light -- compute the vector to 
-                        // the point light's location from the current surface point.  In either case, 
-                        // fade (attenuate) the light as the vector needed to reach it gets longer.  
-                        vec3 surface_to_light_vector = light_positions_or_vectors[i].xyz - 
-                                                       light_positions_or_vectors[i].w * vertex_worldspace;                                             
-                        float distance_to_light = length( surface_to_light_vector );
-        
-                        vec3 L = normalize( surface_to_light_vector );
-                        vec3 H = normalize( L + E );
-                        // Compute the diffuse and specular components from the Phong
-                        // Reflection Model, using Blinn's "halfway vector" method:
-                        float diffuse  =      max( dot( N, L ), 0.0 );
-                        float specular = pow( max( dot( N, H ), 0.0 ), smoothness );
-                        float attenuation = 1.0 / (1.0 + light_attenuation_factors[i] * distance_to_light * distance_to_light );
-                        
-                        vec3 light_contribution = shape_color.xyz * light_colors[i].xyz * diffusivity * diffuse
-                                                                  + light_colors[i].xyz * specularity * specular;
-                        result += attenuation * light_contribution;
-                      }
-                    return result;
-                  } `;
+                #include <phong_shared>
+                `;
         }
 
         vertex_glsl_code() {
             // ********* VERTEX SHADER *********
             return this.shared_glsl_code() + `
-                attribute vec3 position, normal;                            
-                // Position is expressed in object coordinates.
-                
-                uniform mat4 model_transform;
-                uniform mat4 projection_camera_model_transform;
-        
-                void main(){                                                                   
-                    // The vertex's final resting place (in NDCS):
-                    gl_Position = projection_camera_model_transform * vec4( position, 1.0 );
-                    // The final normal vector in screen space.
-                    N = normalize( mat3( model_transform ) * normal / squared_scale);
-                    vertex_worldspace = ( model_transform * vec4( position, 1.0 ) ).xyz;
-                  } `;
+                #include <phong_vertex>
+                `;
         }
 
         fragment_glsl_code() {
@@ -651,12 +613,8 @@ const Phong_Shader = defs.Phong_Shader =
             // A fragment is a pixel that's overlapped by the current triangle.
             // Fragments affect the final image or get discarded due to depth.
             return this.shared_glsl_code() + `
-                void main(){                                                           
-                    // Compute an initial (ambient) color:
-                    gl_FragColor = vec4( shape_color.xyz * ambient, shape_color.w );
-                    // Compute the final color with contributions from lights:
-                    gl_FragColor.xyz += phong_model_lights( normalize( N ), vertex_worldspace );
-                  } `;
+                #include <phong_fragment>
+                `;
         }
 
         send_material(gl, gpu, material) {
@@ -667,26 +625,39 @@ const Phong_Shader = defs.Phong_Shader =
             gl.uniform1f(gpu.diffusivity, material.diffusivity);
             gl.uniform1f(gpu.specularity, material.specularity);
             gl.uniform1f(gpu.smoothness, material.smoothness);
+            // Variants compiled with INSTANCED read the color per instance.  When no list of instance colors
+            // was given, the attribute reads this constant value instead:
+            const instance_color = gpu.shader_attributes.instance_color;
+            if (instance_color)
+                gl.vertexAttrib4fv(instance_color.index, material.color);
+            // Variants compiled with USE_TEXTURE have a sampler for the texture image:
+            if (gpu.shader_uniforms.texture && material.texture && material.texture.ready) {
+                // Select texture unit 0 for the fragment shader Sampler2D uniform called "texture":
+                gl.uniform1i(gpu.texture, 0);
+                // For this draw, use the texture image from correct the GPU buffer:
+                material.texture.activate(gl);
+            }
         }
 
         send_gpu_state(gl, gpu, gpu_state, model_transform) {
             // send_gpu_state():  Send the state of our whole drawing context to the GPU.
             const O = vec4(0, 0, 0, 1), camera_center = gpu_state.camera_transform.times(O).to3();
             gl.uniform3fv(gpu.camera_center, camera_center);
-            // Use the squared scale trick from "Eric's blog" instead of inverse transpose matrix:
-            const squared_scale = model_transform.reduce(
-                (acc, r) => {
-                    return acc.plus(vec4(...r).times_pairwise(r))
-                }, vec4(0, 0, 0, 0)).to3();
+            // Use the squared scale trick from "Eric's blog" instead of inverse transpose matrix.
+            // Each entry is the squared length of one column of the model matrix:
+            const m = model_transform.data, squared_scale = vec3(m[0] * m[0] + m[1] * m[1] + m[2] * m[2],
+                m[4] * m[4] + m[5] * m[5] + m[6] * m[6], m[8] * m[8] + m[9] * m[9] + m[10] * m[10]);
             gl.uniform3fv(gpu.squared_scale, squared_scale);
             // Send the current matrices to the shader.  Go ahead and pre-compute
             // the products we'll need of the of the three special matrices and just
             // cache and send those.  They will be the same throughout this draw
             // call, and thus across each instance of the vertex shader.
-            // Transpose them since the GPU expects matrices as column-major arrays.
-            const PCM = gpu_state.projection_transform.times(gpu_state.camera_inverse).times(model_transform);
-            gl.uniformMatrix4fv(gpu.model_transform, false, Matrix.flatten_2D_to_1D(model_transform.transposed()));
-            gl.uniformMatrix4fv(gpu.projection_camera_model_transform, false, Matrix.flatten_2D_to_1D(PCM.transposed()));
+            // A Mat4's data is already stored column-major like the GPU expects, so it's sent as-is.
+            // Re-use one matrix for the product to avoid allocating a new one on every draw:
+            const PCM = this.PCM_scratch = this.PCM_scratch || Mat4.identity();
+            gpu_state.projection_transform.times(gpu_state.camera_inverse, PCM).post_multiply(model_transform);
+            gl.uniformMatrix4fv(gpu.model_transform, false, model_transform.data);
+            gl.uniformMatrix4fv(gpu.projection_camera_model_transform, false, PCM.data);
 
             // Omitting lights will show only the material color, scaled by the ambient term:
             if (!gpu_state.lights.length)
@@ -716,65 +687,150 @@ const Phong_Shader = defs.Phong_Shader =
             this.send_material(context, gpu_addresses, material);
             this.send_gpu_state(context, gpu_addresses, gpu_state, model_transform);
         }
+
+        make_instanced_version() {
+            // make_instanced_version(): Auto-generate a new Shader class that works like this one, but for use
+            // with Shape's draw_instanced().  It compiles the same code with INSTANCED defined, so that it reads
+            // each instance's model matrix from the per-instance attribute "model_transform", and its color from
+            // "instance_color" if you pass a list of those.  Otherwise every instance gets the Material's color.
+            return class extends this.constructor {
+                glsl_defines(program_state, material) {
+                    return {...super.glsl_defines(program_state, material), INSTANCED: true};
+                }
+            }
+        }
     }
 
 
+// The GLSL code of Phong_Shader and its subclasses, in chunks for their shaders to "#include":
+Object.assign(Shader.chunks, {
+    phong_shared: `
+        uniform float ambient, diffusivity, specularity, smoothness;
+        uniform vec4 light_positions_or_vectors[N_LIGHTS], light_colors[N_LIGHTS];
+        uniform float light_attenuation_factors[N_LIGHTS];
+        uniform vec3 camera_center;
+        // Instanced versions of this shader get each shape's color from its vertex shader instead,
+        // which reads it per instance:
+        #ifdef INSTANCED
+            varying vec4 shape_color;
+        #else
+            uniform vec4 shape_color;
+            uniform vec3 squared_scale;
+        #endif
+
+        // Specifier "varying" means a variable's final value will be passed from the vertex shader
+        // on to the next phase (fragment shader), then interpolated per-fragment, weighted by the
+        // pixel fragment's proximity to each of the 3 vertices (barycentric interpolation).
+        varying vec3 N, vertex_worldspace;
+        #ifdef USE_TEXTURE
+            varying vec2 f_tex_coord;
+        #endif
+        // ***** PHONG SHADING HAPPENS HERE: *****
+        vec3 phong_model_lights( vec3 N, vec3 vertex_worldspace ){
+            // phong_model_lights():  Add up the lights' contributions.
+            vec3 E = normalize( camera_center - vertex_worldspace );
+            vec3 result = vec3( 0.0 );
+            for(int i = 0; i < N_LIGHTS; i++){
+                // Lights store homogeneous coords - either a position or vector.  If w is 0, the
+                // light will appear directional (uniform direction from all points), and we
+                // simply obtain a vector towards the light by directly using the stored value.
+                // Otherwise if w is 1 it will appear as a point light -- compute the vector to
+                // the point light's location from the current surface point.  In either case,
+                // fade (attenuate) the light as the vector needed to reach it gets longer.
+                vec3 surface_to_light_vector = light_positions_or_vectors[i].xyz -
+                                               light_positions_or_vectors[i].w * vertex_worldspace;
+                float distance_to_light = length( surface_to_light_vector );
+
+                vec3 L = normalize( surface_to_light_vector );
+                vec3 H = normalize( L + E );
+                // Compute the diffuse and specular components from the Phong
+                // Reflection Model, using Blinn's "halfway vector" method:
+                float diffuse  =      max( dot( N, L ), 0.0 );
+                float specular = pow( max( dot( N, H ), 0.0 ), smoothness );
+                float attenuation = 1.0 / (1.0 + light_attenuation_factors[i] * distance_to_light * distance_to_light );
+
+                vec3 light_contribution = shape_color.xyz * light_colors[i].xyz * diffusivity * diffuse
+                                                          + light_colors[i].xyz * specularity * specular;
+                result += attenuation * light_contribution;
+              }
+            return result;
+          }`,
+
+    phong_vertex: `
+        attribute vec3 position, normal;
+        // Position is expressed in object coordinates.
+        #ifdef USE_TEXTURE
+            attribute vec2 texture_coord;
+        #endif
+        #ifdef INSTANCED
+            // Per-instance attributes:
+            attribute mat4 model_transform;
+            attribute vec4 instance_color;
+        #else
+            uniform mat4 model_transform;
+        #endif
+        // When instanced, each instance's own transform is applied after this, so it has no model transform:
+        uniform mat4 projection_camera_model_transform;
+
+        void main(){
+            vec4 world_position = model_transform * vec4( position, 1.0 );
+            #ifdef INSTANCED
+                // The vertex's final resting place (in NDCS):
+                gl_Position = projection_camera_model_transform * world_position;
+                // Compute the squared scale per instance this time, from the model matrix's columns:
+                vec3 squared_scale = vec3( dot( model_transform[0].xyz, model_transform[0].xyz ),
+                                           dot( model_transform[1].xyz, model_transform[1].xyz ),
+                                           dot( model_transform[2].xyz, model_transform[2].xyz ) );
+                shape_color = instance_color;
+            #else
+                // The vertex's final resting place (in NDCS):
+                gl_Position = projection_camera_model_transform * vec4( position, 1.0 );
+            #endif
+            // The final normal vector in screen space.
+            N = normalize( mat3( model_transform ) * normal / squared_scale);
+            vertex_worldspace = world_position.xyz;
+            #ifdef USE_TEXTURE
+                // Turn the per-vertex texture coordinate into an interpolated variable.
+                f_tex_coord = texture_coord;
+            #endif
+          }`,
+
+    phong_fragment: `
+        #ifdef USE_TEXTURE
+            uniform sampler2D texture;
+        #endif
+
+        void main(){
+            #ifdef USE_TEXTURE
+                // Sample the texture image in the correct place:
+                vec4 tex_color = texture2D( texture, f_tex_coord );
+                if( tex_color.w < .01 ) discard;
+            #else
+                // With no texture, there's nothing to add to the shape's color:
+                vec4 tex_color = vec4( 0.0, 0.0, 0.0, 1.0 );
+            #endif
+            #ifdef BUMP_MAP
+                // Slightly disturb normals based on sampling the same image that was used for texturing:
+                vec3 bumped_N  = N + tex_color.rgb - .5*vec3(1,1,1);
+            #else
+                vec3 bumped_N  = N;
+            #endif
+            // Compute an initial (ambient) color:
+            gl_FragColor = vec4( ( tex_color.xyz + shape_color.xyz ) * ambient, shape_color.w * tex_color.w );
+            // Compute the final color with contributions from lights:
+            gl_FragColor.xyz += phong_model_lights( normalize( bumped_N ), vertex_worldspace );
+          }`
+});
+
+
 const Textured_Phong = defs.Textured_Phong =
     class Textured_Phong extends Phong_Shader {
         // **Textured_Phong** is a Phong Shader extended to addditionally decal a
         // texture image over the drawn shape, lined up according to the texture
         // coordinates that are stored at each shape vertex.
-        vertex_glsl_code() {
-            // ********* VERTEX SHADER *********
-            return this.shared_glsl_code() + `
-                varying vec2 f_tex_coord;
-                attribute vec3 position, normal;                            
-                // Position is expressed in object coordinates.
-                attribute vec2 texture_coord;
-                
-                uniform mat4 model_transform;
-                uniform mat4 projection_camera_model_transform;
-        
-                void main(){                                                                   
-                    // The vertex's final resting place (in NDCS):
-                    gl_Position = projection_camera_model_transform * vec4( position, 1.0 );
-                    // The final normal vector in screen space.
-                    N = normalize( mat3( model_transform ) * normal / squared_scale);
-                    vertex_worldspace = ( model_transform * vec4( position, 1.0 ) ).xyz;
-                    // Turn the per-vertex texture coordinate into an interpolated variable.
-                    f_tex_coord = texture_coord;
-                  } `;
-        }
-
-        fragment_glsl_code() {
-            // ********* FRAGMENT SHADER *********
-            // A fragment is a pixel that's overlapped by the current triangle.
-            // Fragments affect the final image or get discarded due to depth.
-            return this.shared_glsl_code() + `
-                varying vec2 f_tex_coord;
-                uniform sampler2D texture;
-        
-                void main(){
-                    // Sample the texture image in the correct place:
-                    vec4 tex_color = texture2D( texture, f_tex_coord );
-                    if( tex_color.w < .01 ) discard;
-                                                                             // Compute an initial (ambient) color:
-                    gl_FragColor = vec4( ( tex_color.xyz + shape_color.xyz ) * ambient, shape_color.w * tex_color.w ); 
-                                                                             // Compute the final color with contributions from lights:
-                    gl_FragColor.xyz += phong_model_lights( normalize( N ), vertex_worldspace );
-                  } `;
-        }
-
-        update_GPU(context, gpu_addresses, gpu_state, model_transform, material) {
-            // update_GPU(): Add a little more to the base class's version of this method.
-            super.update_GPU(context, gpu_addresses, gpu_state, model_transform, material);
-
-            if (material.texture && material.texture.ready) {
-                // Select texture unit 0 for the fragment shader Sampler2D uniform called "texture":
-                context.uniform1i(gpu_addresses.texture, 0);
-                // For this draw, use the texture image from correct the GPU buffer:
-                material.texture.activate(context);
-            }
+        glsl_defines(program_state, material) {
+            // glsl_defines(): Switch on the texture parts of Phong_Shader's code.
+            return {...super.glsl_defines(program_state, material), USE_TEXTURE: true};
         }
     }
 
@@ -783,23 +839,9 @@ const Fake_Bump_Map = defs.Fake_Bump_Map =
     class Fake_Bump_Map extends Textured_Phong {
         // **Fake_Bump_Map** Same as Phong_Shader, except adds a line of code to
         // compute a new normal vector, perturbed according to texture color.
-        fragment_glsl_code() {
-            // ********* FRAGMENT SHADER *********
-            return this.shared_glsl_code() + `
-                varying vec2 f_tex_coord;
-                uniform sampler2D texture;
-        
-                void main(){
-                    // Sample the texture image in the correct place:
-                    vec4 tex_color = texture2D( texture, f_tex_coord );
-                    if( tex_color.w < .01 ) discard;
-                    // Slightly disturb normals based on sampling the same image that was used for texturing:
-                    vec3 bumped_N  = N + tex_color.rgb - .5*vec3(1,1,1);
-                    // Compute an initial (ambient) color:
-                    gl_FragColor = vec4( ( tex_color.xyz + shape_color.xyz ) * ambient, shape_color.w * tex_color.w ); 
-                    // Compute the final color with contributions from lights:
-                    gl_FragColor.xyz += phong_model_lights( normalize( bumped_N ), vertex_worldspace );
-                  } `;
+        glsl_defines(program_state, material) {
+            // glsl_defines(): Also switch on the part of Phong_Shader's code that disturbs the normals.
+            return {...super.glsl_defines(program_state, material), BUMP_MAP: true};
         }
     }
 
@@ -904,8 +946,8 @@ const Movement_Controls = defs.Movement_Controls =
             this.key_triggered_button("(Un)freeze mouse look around", ["f"], () => this.look_around_locked ^= 1, "#8B8885");
             this.new_line();
             this.key_triggered_button("Go to world origin", ["r"], () => {
-                this.matrix().set_identity(4, 4);
-                this.inverse().set_identity(4, 4)
+                this.matrix().set_identity();
+                this.inverse().set_identity()
             }, "#8B8885");
             this.new_line();
 
@@ -932,6 +974,31 @@ const Movement_Controls = defs.Movement_Controls =
                     this.will_take_over_graphics_state = true
                 }, "#8B8885");
             this.new_line();
+            this.key_triggered_button("Save camera pose", ["Shift", "S"], () => this.save_pose(), "#8B8885");
+            this.key_triggered_button("Restore", ["Shift", "L"], () => this.load_pose(), "#8B8885");
+            this.new_line();
+            // A box to show the saved pose in, for copying:
+            this.pose_box = this.control_panel.appendChild(document.createElement("textarea"));
+            Object.assign(this.pose_box, {readOnly: true, rows: 2, cols: 60, placeholder: "Saved camera poses show here."});
+            this.new_line();
+        }
+
+        save_pose() {
+            // save_pose(): Remember the camera's placement in the browser's storage, and also show it in
+            // the control panel, for pasting into a scene as a starting pose.
+            const text = JSON.stringify(tiny.to_json(this.inverse()));
+            localStorage.setItem("tiny-graphics camera pose", text);
+            if (this.pose_box)
+                this.pose_box.value = text;
+        }
+
+        load_pose(text = localStorage.getItem("tiny-graphics camera pose")) {
+            // load_pose(): Move the camera to a pose that save_pose() produced.
+            if (!text)
+                return;
+            const inverse = Mat4.from_json(JSON.parse(text));
+            this.inverse().set(inverse);
+            this.matrix().set(Mat4.inverse(inverse));
         }
 
         first_person_flyaround(radians_per_frame, meters_per_frame, leeway = 70) {
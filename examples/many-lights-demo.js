@@ -1,6 +1,6 @@
 import {defs, tiny} from './common.js';
 // Pull these names into this module's scope for convenience:
-const {vec3, vec4, color, Mat4, Light, Shape, Material, Shader, Texture, Scene} = tiny;
+const {vec3, vec4, color, Mat4, Light, Random_Generator, Shape, Material, Shader, Texture, Scene} = tiny;
 
 export class Many_Lights_Demo extends Scene {                             // **Many_Lights_Demo** demonstrates how to make the illusion that
                                                                           // there are many lights, despite only passing two to the shader.
@@ -12,6 +12,8 @@ export class Many_Lights_Demo extends Scene {                             // **M
         super();
         // Define how many boxes (buildings) to draw:
         Object.assign(this, {rows: 20, columns: 35});
+        // Use a fixed seed so that the city looks the same every time:
+        const random = new Random_Generator(1);
 
         this.shapes = {cube: new defs.Cube()};
         const shader = new defs.Fake_Bump_Map();
@@ -30,14 +32,14 @@ export class Many_Lights_Demo extends Scene {                             // **M
         // Make initial grid of boxes at random heights:
         for (let row = 0; row < this.rows; row++)
             for (let column = 0; column < this.columns; column++)
-                this.box_positions.push(vec3(row, -2 - 2 * Math.random(), -column).randomized(1));
+                this.box_positions.push(vec3(row, -2 - 2 * random.random(), -column).randomized(1, random));
 
         // The lights lists will function as a lookup table for the light in a current row and column:
         // Make initial light positions.  One light per row, and one light per column:
         for (let c = 0; c < this.columns; c++)
-            this.row_lights    [~~(-c)] = vec3(2 * Math.random() * this.rows, -Math.random(), -c);
+            this.row_lights    [~~(-c)] = vec3(2 * random.random() * this.rows, -random.random(), -c);
         for (let r = 0; r < this.rows; r++)
-            this.column_lights [~~(r)] = vec3(r, -Math.random(), -2 * Math.random() * this.columns);
+            this.column_lights [~~(r)] = vec3(r, -random.random(), -2 * random.random() * this.columns);
     }
 
     display(context, program_state) {                                         // display():  Draw each frame to animate the scene.
@@ -45,7 +47,9 @@ export class Many_Lights_Demo extends Scene {                             // **M
         program_state.projection_transform = Mat4.perspective(Math.PI / 4, context.width / context.height, 1, 500);
 
         // To draw each individual box, select the two lights sharing
-        // a row and column with it, and draw using those.
+        // a row and column with it, and draw using those.  (Since no two boxes share the same pair of
+        // lights, this can't be batched together with draw_instanced(), which gives every instance the
+        // same lights.)
         this.box_positions.forEach((p, i, a) => {
             program_state.lights = [new Light(this.row_lights   [~~p[2]].to4(1), color(p[2] % 1, 1, 1, 1), 9),
                 new Light(this.column_lights[~~p[0]].to4(1), color(1, 1, p[0] % 1, 1), 9)];
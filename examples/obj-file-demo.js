@@ -6,6 +6,9 @@ export class Shape_From_File extends Shape {                                   /
                                                                                // all its arrays' data from an .obj 3D model file.
     constructor(filename) {
         super("position", "normal", "texture_coord");
+        // Model files can have lots of vertices, so store each vertex's position, normal, and texture
+        // coordinate side by side in one buffer, where the GPU can read them together:
+        this.set_interleaved();
         // Begin downloading the mesh. Once that completes, return
         // control to our parse_into_mesh function.
         this.load_file(filename);
@@ -1,6 +1,6 @@
 import {defs, tiny} from './common.js';
 // Pull these names into this module's scope for convenience:
-const {Vector3, vec3, vec4, color, Mat4, Light, Shape, Material, Shader, Texture, Scene} = tiny;
+const {Vector3, vec3, vec4, color, Mat4, Catmull_Rom_Curve, Light, Shape, Material, Shader, Texture, Scene} = tiny;
 const {Triangle, Square, Tetrahedron, Windmill, Cube, Subdivision_Sphere} = defs;
 
 export class Surfaces_Demo extends Scene {
@@ -51,7 +51,7 @@ export class Surfaces_Demo extends Scene {
         const row_operation = (s, p) => p ? Mat4.translation(0, .2, 0).times(p.to4(1)).to3()
             : initial_corner_point;
         const column_operation = (t, p) => Mat4.translation(.2, 0, 0).times(p.to4(1)).to3();
-        this.shapes = {sheet: new defs.Grid_Patch(10, 10, row_operation, column_operation)};
+        this.shapes = {sheet: new defs.Grid_Patch(10, 10, row_operation, column_operation).set_usage("DYNAMIC_DRAW")};
     }
 
     construct_scene_2() {
@@ -68,7 +68,10 @@ export class Surfaces_Demo extends Scene {
     construct_scene_3() {
         const points = Vector3.cast([0, 0, .8], [.5, 0, 1], [.5, 0, .8], [.4, 0, .7], [.4, 0, .5], [.5, 0, .4], [.5, 0, -1], [.4, 0, -1.5], [.25, 0, -1.8], [0, 0, -1.7]);
 
-        this.shapes = {bullet: new defs.Surface_Of_Revolution(9, 9, points)};
+        // Pass smoothly through the points, instead of connecting them with straight lines:
+        const outline = new Catmull_Rom_Curve(points);
+
+        this.shapes = {bullet: new defs.Surface_Of_Revolution(30, 9, outline)};
 
         const phong = new defs.Phong_Shader(1);
         this.solid = new Material(phong, {diffusivity: .5, smoothness: 800, color: color(.7, .8, .6, 1)});
@@ -149,12 +152,10 @@ export class Surfaces_Demo extends Scene {
         // Update the normals to reflect the surface's new arrangement.
         // This won't be perfect flat shading because vertices are shared.
         this.shapes.sheet.flat_shade();
+        // Tell the shape which arrays changed, so its next draw updates the gpu-side shape too:
+        this.shapes.sheet.mark_dirty("position").mark_dirty("normal");
         // Draw the current sheet shape.
         this.shapes.sheet.draw(context, program_state, this.r, this.material);
-
-        // Update the gpu-side shape with new vertices.
-        // Warning:  You can't call this until you've already drawn the shape once.
-        this.shapes.sheet.copy_onto_graphics_card(context.context, ["position", "normal"], false);
     }
 
     display_scene_2(context, program_state) {
@@ -221,7 +222,7 @@ export class Surfaces_Demo extends Scene {
 
     explain_scene_1(document_element) {
         document_element.innerHTML += `<p>Shapes in tiny-graphics.js can also be modified and animated if need be.  The shape drawn below has vertex positions and normals that are recalculated for every frame.</p>
-                                     <p>Call copy_onto_graphics_card() on the Shape to make this happen.  Pass in the context, then an array of the buffer names you'd like to overwrite, then false to indicate that indices should be left alone.  Overwriting buffers in place saves us from slow reallocations.  Warning:  Do not try calling copy_onto_graphics_card() to update a shape until after the shape's first draw() call has completed.</p>`;
+                                     <p>Call mark_dirty() on the Shape to make this happen.  Pass in the name of an array you changed, and optionally the range of its entries that changed; the next draw() overwrites just those parts of the GPU's buffers.  Overwriting buffers in place saves us from slow reallocations.  Calling set_usage("DYNAMIC_DRAW") on the Shape when you make it also hints to the GPU that it will change often.</p>`;
     }
 
     explain_scene_2(document_element) {
@@ -230,7 +231,7 @@ export class Surfaces_Demo extends Scene {
     }
 
     explain_scene_3(document_element) {
-        document_element.innerHTML += `<p>Here's a surface of revolution drawn using a manually specified point list.  The points spell out a 1D curve of the outline of a bullet's right side.  The Surface_Of_Revolution sweeps this around the Z axis.</p>`;
+        document_element.innerHTML += `<p>Here's a surface of revolution drawn using a manually specified point list.  The points spell out a 1D curve of the outline of a bullet's right side.  Rather than connecting the points with straight lines, we fit a Catmull_Rom_Curve through them, which Surface_Of_Revolution samples at evenly spaced distances along its length.  The Surface_Of_Revolution sweeps this around the Z axis.</p>`;
     }
 
     explain_scene_4(document_element) {
@@ -242,7 +243,7 @@ export class Surfaces_Demo extends Scene {
     }
 
     explain_scene_6(document_element) {
-        document_element.innerHTML += `<p>Blending two 1D curves as a "ruled surface" using the "mix" function of vectors.  We are using hand-made lists of points for our curves, but you could have generated the points from spline functions.</p>`;
+        document_element.innerHTML += `<p>Blending two 1D curves as a "ruled surface" using the "mix" function of vectors.  We are using hand-made lists of points for our curves, but you could have generated the points from spline functions, such as the resample() method of any tiny.Curve.</p>`;
     }
 
     show_explanation(document_element, webgl_manager) {
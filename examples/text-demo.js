@@ -19,28 +19,33 @@ export class Text_Line extends Shape {                           // **Text_Line*
             defs.Square.insert_transformed_copy_into(this, [], object_transform);
             object_transform.post_multiply(Mat4.translation(1.5, 0, 0));
         }
+        // The texture coordinates get edited for each new string:
+        this.set_usage("DYNAMIC_DRAW");
     }
 
-    set_string(line, context) {           // set_string():  Call this to overwrite the texture coordinates buffer with new
-        // values per quad, which enclose each of the string's characters.
-        this.arrays.texture_coord = [];
+    set_string(line) {                    // set_string():  Call this to overwrite the texture coordinates with new values
+        // per quad, which enclose each of the string's characters.  Only quads whose
+        // characters changed since the last string get sent to the GPU, on the next draw.
+        var first_changed = this.max_size, last_changed = -1;
         for (var i = 0; i < this.max_size; i++) {
-            var row = Math.floor((i < line.length ? line.charCodeAt(i) : ' '.charCodeAt()) / 16),
-                col = Math.floor((i < line.length ? line.charCodeAt(i) : ' '.charCodeAt()) % 16);
+            var code = i < line.length ? line.charCodeAt(i) : ' '.charCodeAt();
+            if (this.line !== undefined && code === (i < this.line.length ? this.line.charCodeAt(i) : ' '.charCodeAt()))
+                continue;
+            var row = Math.floor(code / 16), col = Math.floor(code % 16);
 
             var skip = 3, size = 32, sizefloor = size - skip;
             var dim = size * 16,
                 left = (col * size + skip) / dim, top = (row * size + skip) / dim,
                 right = (col * size + sizefloor) / dim, bottom = (row * size + sizefloor + 5) / dim;
 
-            this.arrays.texture_coord.push(...Vector.cast([left, 1 - bottom], [right, 1 - bottom],
+            this.arrays.texture_coord.splice(4 * i, 4, ...Vector.cast([left, 1 - bottom], [right, 1 - bottom],
                 [left, 1 - top], [right, 1 - top]));
+            first_changed = Math.min(first_changed, i);
+            last_changed = i;
         }
-        if (!this.existing) {
-            this.copy_onto_graphics_card(context);
-            this.existing = true;
-        } else
-            this.copy_onto_graphics_card(context, ["texture_coord"], false);
+        this.line = line;
+        if (last_changed >= 0)
+            this.mark_dirty("texture_coord", 4 * first_changed, 4 * (last_changed + 1));
     }
 }
 
@@ -90,7 +95,7 @@ export class Text_Demo extends Scene {             // **Text_Demo** is a scene w
                 const multi_line_string = strings[2 * i + j].split('\n');
                 // Draw a Text_String for every line in our string, up to 30 lines:
                 for (let line of multi_line_string.slice(0, 30)) {             // Assign the string to Text_String, and then draw it.
-                    this.shapes.text.set_string(line, context.context);
+                    this.shapes.text.set_string(line);
                     this.shapes.text.draw(context, program_state, funny_orbit.times(cube_side)
                         .times(Mat4.scale(.03, .03, .03)), this.text_image);
                     // Move our basis down a line.
@@ -178,6 +178,7 @@ export class Transforms_Sandbox extends Transforms_Sandbox_Base {
         // rotations will behave like shears.  To avoid this it may have been better to do the
         // scale() last and then immediately unscale after the draw.  Or better yet, don't store
         // the scaled matrix back in model_transform at all -- but instead in just a temporary
-        // expression that we pass into draw(), or store under a different name.
+        // expression that we pass into draw(), or store under a different name.  A tiny.Matrix_Stack
+        // can also help:  Call push() before the scale() and pop() after the draw to undo it.
     }
 }
\ No newline at end of file
@@ -16,13 +16,15 @@ const Canvas_Widget = widgets.Canvas_Widget =
         // element.  It creates a WebGL canvas and loads onto it any initial Scene objects in the
         // arguments.  Optionally spawns a Text_Widget and Controls_Widget for showing more information
         // or interactive UI buttons, divided into one panel per each loaded Scene.  You can use up to
-        // 16 Canvas_Widgets; browsers support up to 16 WebGL contexts per page.
+        // 16 Canvas_Widgets; browsers support up to 16 WebGL contexts per page.  Set option "webgl2" to
+        // request a WebGL2 context (see Webgl_Manager), and "make_shader_editor" to add a panel for editing
+        // the running Shaders' GLSL code (see Shader_Editor_Widget).
         constructor(element, initial_scenes, options = {}) {
             this.element = element;
 
             const defaults = {
                 show_canvas: true, make_controls: true, show_explanation: true,
-                make_editor: false, make_code_nav: true
+                make_editor: false, make_code_nav: true, make_shader_editor: false, webgl2: false
             };
             if (initial_scenes && initial_scenes[0])
                 Object.assign(options, initial_scenes[0].widget_options);
@@ -57,10 +59,15 @@ const Canvas_Widget = widgets.Canvas_Widget =
                 this.embedded_editor_area.className = "editor-widget";
             }
 
+            if (this.make_shader_editor) {
+                this.embedded_shader_editor_area = this.element.appendChild(document.createElement("div"));
+                this.embedded_shader_editor_area.className = "shader-editor-widget";
+            }
+
             if (!this.show_canvas)
                 canvas.style.display = "none";
 
-            this.webgl_manager = new tiny.Webgl_Manager(canvas, color(0, 0, 0, 1));
+            this.webgl_manager = new tiny.Webgl_Manager(canvas, color(0, 0, 0, 1), undefined, {webgl2: this.webgl2});
             // Second parameter sets background color.
 
 
@@ -80,10 +87,19 @@ const Canvas_Widget = widgets.Canvas_Widget =
             if (this.make_code_nav)
                 this.embedded_code_nav = new Code_Widget(this.embedded_code_nav_area, primary_scene_definiton,
                     additional_scenes, {associated_editor: this.embedded_editor});
+            if (this.make_shader_editor)
+                this.embedded_shader_editor = new Shader_Editor_Widget(this.embedded_shader_editor_area, this.webgl_manager);
 
             // Start WebGL initialization.  Note that render() will re-queue itself for continuous calls.
             this.webgl_manager.render();
         }
+
+        dispose() {
+            // dispose(): Stop the demo, free all of its GPU memory, and clear this widget off the page, such as
+            // before replacing it with a different demo.
+            this.webgl_manager.dispose();
+            this.element.innerHTML = "";
+        }
     }
 
 
@@ -448,6 +464,123 @@ const Editor_Widget = widgets.Editor_Widget =
     }
 
 
+const Shader_Editor_Widget = widgets.Shader_Editor_Widget =
+    class Shader_Editor_Widget {
+        // **Shader_Editor_Widget** lets you edit the GLSL code of any Shader that's running on a canvas, and
+        // recompile it on the fly to see the results without reloading the page.  Pick a Shader from the
+        // list (each one appears once it has drawn something), edit its vertex and fragment code, and press
+        // "Recompile" (or Ctrl+Enter).  If the new code has errors, they're listed below, and the Shader's
+        // last working program keeps drawing.  "Revert" goes back to the code the Shader's class defines.
+        constructor(element, webgl_manager) {
+            const rules = [".shader-editor-widget { margin:auto; background:white; font-family:monospace; width:1060px; \
+                                      padding:10px; border-radius:10px; border: 1px solid black }",
+                ".shader-editor-widget button { background: #303030; color: white; padding: 6px; border-radius:10px; \
+                                                margin-left:5px }",
+                ".shader-editor-widget textarea { white-space:pre; width:1040px; margin:5px 0 15px; font-family:monospace }",
+                ".shader-editor-widget .shader-editor-status { white-space:pre-wrap; margin:5px 0 }"];
+            if (document.styleSheets.length == 0) document.head.appendChild(document.createElement("style"));
+            for (const r of rules) document.styleSheets[document.styleSheets.length - 1].insertRule(r, 0)
+
+            Object.assign(this, {element, webgl_manager, shaders: []});
+
+            const top_bar = element.appendChild(document.createElement("div"));
+            top_bar.appendChild(document.createTextNode("Edit shader: "));
+            this.shader_list = top_bar.appendChild(document.createElement("select"));
+            // Shaders only get copied onto the canvas when they first draw, so refresh the list when opened:
+            this.shader_list.addEventListener("mousedown", () => this.refresh_shader_list());
+            this.shader_list.addEventListener("focus", () => this.refresh_shader_list());
+            this.shader_list.addEventListener("change", () => this.select_shader(this.shaders[this.shader_list.value]));
+            for (let [label, callback] of [["Recompile", this.recompile], ["Revert", this.revert]]) {
+                const button = top_bar.appendChild(document.createElement("button"));
+                button.type = "button";
+                button.textContent = label;
+                button.addEventListener("click", callback.bind(this));
+            }
+
+            this.status = element.appendChild(document.createElement("div"));
+            this.status.className = "shader-editor-status";
+            this.code_boxes = {};
+            for (let stage of ["vertex", "fragment"]) {
+                element.appendChild(document.createElement("div")).textContent = stage[0].toUpperCase() + stage.slice(1) + " shader:";
+                const box = this.code_boxes[stage] = element.appendChild(document.createElement("textarea"));
+                box.rows = 20;
+                box.spellcheck = false;
+                box.addEventListener("keydown", event => {
+                    if (event.key == "Enter" && event.ctrlKey) {
+                        event.preventDefault();
+                        this.recompile();
+                    }
+                });
+            }
+            this.select_shader(undefined);
+            this.refresh_shader_list();
+        }
+
+        refresh_shader_list() {
+            // refresh_shader_list(): List every Shader that has been copied onto the canvas's WebGL context.
+            const shaders = tiny.Graphics_Card_Object.objects_on(this.webgl_manager.context)
+                .filter(x => x instanceof tiny.Shader);
+            if (shaders.length == this.shaders.length && shaders.every((x, i) => x === this.shaders[i]))
+                return;
+            this.shaders = shaders;
+            this.shader_list.innerHTML = "";
+            const names = shaders.map(shader => {
+                // Classes made on the fly (such as by make_instanced_version()) are nameless; use their parent's:
+                let shader_class = shader.constructor;
+                while (!shader_class.name) shader_class = Object.getPrototypeOf(shader_class);
+                return shader_class.name;
+            });
+            shaders.forEach((shader, i) => {
+                const option = this.shader_list.appendChild(document.createElement("option"));
+                option.value = i;
+                // Tell apart Shaders with the same name by numbering them:
+                const same_name = names.filter(x => x == names[i]).length,
+                    number = names.slice(0, i).filter(x => x == names[i]).length + 1;
+                option.textContent = names[i] + (same_name > 1 ? " #" + number : "");
+            });
+            if (!shaders.includes(this.shader))
+                this.select_shader(shaders[0]);
+            else
+                this.shader_list.value = shaders.indexOf(this.shader);
+        }
+
+        select_shader(shader) {
+            // select_shader(): Load a Shader's current GLSL code into the text boxes.
+            this.shader = shader;
+            this.status.textContent = shader ? "" : "No shaders have drawn anything yet.";
+            const code = shader ? shader.current_glsl_code() : {vertex: "", fragment: ""};
+            for (let stage of ["vertex", "fragment"])
+                this.code_boxes[stage].value = code[stage].trim();
+        }
+
+        recompile() {
+            // recompile(): Send the edited code to the selected Shader, and report how compiling it went.
+            if (!this.shader)
+                return;
+            let errors;
+            try {
+                errors = this.shader.set_glsl_code(this.code_boxes.vertex.value, this.code_boxes.fragment.value);
+            } catch (error) {
+                errors = [error];
+            }
+            this.status.style.color = errors.length ? "maroon" : "green";
+            this.status.textContent = errors.length
+                                      ? errors.map(e => e.message || e).join("\n\n") + "\n\n(Still drawing with the last working code.)"
+                                      : "Recompiled at " + new Date().toLocaleTimeString() + ".";
+        }
+
+        revert() {
+            // revert(): Go back to the GLSL code defined by the selected Shader's class.
+            if (!this.shader)
+                return;
+            this.shader.set_glsl_code();
+            this.select_shader(this.shader);
+            this.status.style.color = "green";
+            this.status.textContent = "Reverted to the original code.";
+        }
+    }
+
+
 const Text_Widget = widgets.Text_Widget =
     class Text_Widget {
         // **Text_Widget** generates HTML documentation and fills a panel with it.  This
@@ -16,7 +16,9 @@
  * class Vector and declare them with standard Array-supported operations like .of().
  *
  * For matrices, you will use class Mat4 to generate the 4 by 4 matrices that are common
- * in graphics, or for general sized matrices you can use class Matrix.
+ * in graphics, or for general sized matrices you can use class Matrix.  A Matrix is an array
+ * of rows, while a Mat4 keeps a single column-major buffer "M.data" (like the GPU wants) that you
+ * can still read and write as M[ row ][ column ].
  *
  * To get vector algebra that performs well in JavaScript, we based class Vector on consecutive
  * buffers (using type Float32Array).  Implementations should specialize for common vector
@@ -32,7 +34,8 @@
  * mult-pairs: "vec3( 1,2,3 ).mult_pairs( vec3( 3,2,0 ) )" returns the Vector [ 3,4,0 ].
  *      scale: "vec3( 1,2,3 ).scale( 2 )" overwrites the Vector with [ 2,4,6 ].
  *      times: "vec3( 1,2,3 ).times( 2 )" returns the Vector [ 2,4,6 ].
- * randomized: Returns this Vector plus a random vector of a given maximum length.
+ * randomized: Returns this Vector plus a random vector of a given maximum length.  Pass a seeded
+ *             Random_Generator as a second argument to get the same results on every run.
  *        mix: "vec3( 0,2,4 ).mix( vec3( 10,10,10 ), .5 )" returns the Vector [ 5,6,7 ].
  *       norm: "vec3( 1,2,3 ).norm()" returns the square root of 15.
  * normalized: "vec3( 4,4,4 ).normalized()" returns the Vector [ sqrt(3), sqrt(3), sqrt(3) ]
@@ -42,6 +45,8 @@
  *        to4: "vec3( 1,2,3 ).to4( true or false )" returns the homogeneous vec4 [ 1,2,3, 1 or 0 ].
  *      cross: "vec3( 1,0,0 ).cross( vec3( 0,1,0 ) )" returns the Vector [ 0,0,1 ].  Use only on 3x1 Vecs.
  *  to_string: "vec3( 1,2,3 ).to_string()" returns "[vec3 1, 2, 3]"
+ *    to_json: "vec3( 1,2,3 ).to_json()" returns { class: "Vector3", values: [1,2,3] }, and
+ *             "Vector3.from_json( data )" reverses it.
  *  ** For size 4, same except: **
  *        to3: "vec4( 4,3,2,1 ).to3()" returns the vec3 [ 4,3,2 ].  Use to truncate vec4 to vec3.
  *  ** To assign by value **
@@ -100,8 +105,8 @@ const Vector = tiny.Vector =
             return this.map(x => s * x)
         }
 
-        randomized(s) {
-            return this.map(x => x + s * (Math.random() - .5))
+        randomized(s, generator = Math) {
+            return this.map(x => x + s * (generator.random() - .5))
         }
 
         mix(b, s) {
@@ -148,6 +153,15 @@ const Vector = tiny.Vector =
         to_string() {
             return "[vector " + this.join(", ") + "]"
         }
+
+        to_json() {
+            // to_json(): Returns a plain object that JSON.stringify() can save.  See tiny.to_json().
+            return {class: this.constructor.name, values: Array.from(this)}
+        }
+
+        static from_json(data) {
+            return this.from(data.values)
+        }
     }
 
 
@@ -231,10 +245,10 @@ const Vector3 = tiny.Vector3 =
         }
 
         // Other operations:
-        randomized(s) {
-            return vec3(this[0] + s * (Math.random() - .5),
-                this[1] + s * (Math.random() - .5),
-                this[2] + s * (Math.random() - .5));
+        randomized(s, generator = Math) {
+            return vec3(this[0] + s * (generator.random() - .5),
+                this[1] + s * (generator.random() - .5),
+                this[2] + s * (generator.random() - .5));
         }
 
         mix(b, s) {
@@ -278,6 +292,15 @@ const Vector3 = tiny.Vector3 =
         to_string() {
             return "[vec3 " + this.join(", ") + "]"
         }
+
+        to_json() {
+            // to_json(): Returns a plain object that JSON.stringify() can save.  See tiny.to_json().
+            return {class: this.constructor.name, values: Array.from(this)}
+        }
+
+        static from_json(data) {
+            return this.from(data.values)
+        }
     }
 
 const Vector4 = tiny.Vector4 =
@@ -360,11 +383,11 @@ const Vector4 = tiny.Vector4 =
         }
 
         // Other operations:
-        randomized(s) {
-            return vec4(this[0] + s * (Math.random() - .5),
-                this[1] + s * (Math.random() - .5),
-                this[2] + s * (Math.random() - .5),
-                this[3] + s * (Math.random() - .5));
+        randomized(s, generator = Math) {
+            return vec4(this[0] + s * (generator.random() - .5),
+                this[1] + s * (generator.random() - .5),
+                this[2] + s * (generator.random() - .5),
+                this[3] + s * (generator.random() - .5));
         }
 
         mix(b, s) {
@@ -404,6 +427,15 @@ const Vector4 = tiny.Vector4 =
         to_string() {
             return "[vec4 " + this.join(", ") + "]"
         }
+
+        to_json() {
+            // to_json(): Returns a plain object that JSON.stringify() can save.  See tiny.to_json().
+            return {class: this.constructor.name, values: Array.from(this)}
+        }
+
+        static from_json(data) {
+            return this.from(data.values)
+        }
     }
 
 const vec = tiny.vec = Vector.create;
@@ -416,9 +448,21 @@ const unsafe4 = tiny.unsafe4 = Vector4.unsafe;
 // vectors expressed as ( red, green, blue, opacity ) each ranging from 0 to 1.
 const Color = tiny.Color =
     class Color extends Vector4 {
+        // Colors can be created from floats, hex codes, or any CSS color string, and converted to and
+        // from other color spaces.  Hue is always in degrees (0 to 360), and all other channels
+        // range from 0 to 1.  Example usage:
+        //  "color( 1,.5,0,1 )", "hex_color( '#F80' )", "hex_color( '#FF880080' )", "Color.parse( 'rgba(255, 136, 0, .5)' )",
+        //  "Color.parse( 'hsl(32, 100%, 50%)' )", "Color.parse( 'tomato' )" all return Colors.
+        //  "Color.from_hsv( h,s,v,a )" and "Color.from_hsl( h,s,l,a )" convert into RGB, while
+        //  "c.to_hsv()" and "c.to_hsl()" return vec4s of ( hue, saturation, value or lightness, alpha ).
+        //  "c.to_linear()" and "c.to_srgb()" convert between sRGB-encoded colors (how images and designers
+        //               specify them) and linear light (how lighting math should add them up).
+        //  "c.mix( b, alpha, space )" blends two colors in "rgb" (the default), "linear", "hsv" or "hsl" space.
+        //  "c.to_hex()" returns a string such as "#ff8800".
+
         // Create color from RGBA floats
         static create_from_float(r, g, b, a) {
-            const v = new Vector4(4);
+            const v = new Color(4);
             v[0] = r;
             v[1] = g;
             v[2] = b;
@@ -426,20 +470,151 @@ const Color = tiny.Color =
             return v;
         }
 
-        // Create color from hexadecimal numbers, e.g., #FFFFFF
+        // Create color from hexadecimal numbers, e.g., #FFFFFF.  The short forms #RGB and #RGBA,
+        // and #RRGGBBAA (with its own alpha, overriding the argument) are also accepted.
         static create_from_hex(hex, alpha = 1.) {
-            const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-            const v = new Vector4(4);
-            if (result) {
-                v[0] = parseInt(result[1], 16) / 255.;
-                v[1] = parseInt(result[2], 16) / 255.;
-                v[2] = parseInt(result[3], 16) / 255.;
-                v[3] = alpha;
+            const digits = (/^#?([a-f\d]{3,4}|[a-f\d]{6}|[a-f\d]{8})$/i.exec(hex) || [])[1];
+            if (!digits)
+                throw "Color: \"" + hex + "\" is not a hex color code.  Try a form like #RGB, #RGBA, #RRGGBB, or #RRGGBBAA.";
+            // Expand the short forms by doubling each digit:
+            const full = digits.length <= 4 ? [...digits].map(d => d + d).join("") : digits;
+            const channels = full.match(/../g).map(x => parseInt(x, 16) / 255.);
+            return Color.create_from_float(channels[0], channels[1], channels[2], channels.length == 4 ? channels[3] : alpha);
+        }
+
+        static parse(string) {
+            // parse(): Accepts any of the forms that CSS allows for colors:  Hex codes, named colors,
+            // and the rgb(), rgba(), hsl() and hsla() functions.
+            const s = string.trim().toLowerCase();
+            if (s == "transparent")
+                return Color.create_from_float(0, 0, 0, 0);
+            if (Color.named_colors[s])
+                return Color.create_from_hex(Color.named_colors[s]);
+            const call = /^(rgba?|hsla?)\(([^)]*)\)$/.exec(s);
+            if (!call)
+                return Color.create_from_hex(s);
+            // Arguments may be separated by commas, spaces, or a slash before the alpha:
+            const args = call[2].split(/[\s,\/]+/).filter(x => x),
+                number = (x, percent_scale) => x.endsWith("%") ? parseFloat(x) / 100 * percent_scale : parseFloat(x),
+                alpha = args[3] === undefined ? 1 : number(args[3], 1);
+            if (args.length < 3 || args.some(x => isNaN(parseFloat(x))))
+                throw "Color: couldn't understand the color \"" + string + "\".";
+            if (call[1].startsWith("rgb"))
+                return Color.create_from_float(...args.slice(0, 3).map(x => number(x, 255) / 255), alpha);
+            return Color.from_hsl(parseFloat(args[0]), number(args[1], 1), number(args[2], 1), alpha);
+        }
+
+        static from_hsv(h, s, v, a = 1) {
+            // from_hsv(): Each channel follows a trapezoid-shaped curve around the hue circle.
+            const f = n => {
+                const k = ((n + h / 60) % 6 + 6) % 6;
+                return v - v * s * Math.max(0, Math.min(k, 4 - k, 1));
+            };
+            return Color.create_from_float(f(5), f(3), f(1), a);
+        }
+
+        static from_hsl(h, s, l, a = 1) {
+            const amplitude = s * Math.min(l, 1 - l), f = n => {
+                const k = ((n + h / 30) % 12 + 12) % 12;
+                return l - amplitude * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+            };
+            return Color.create_from_float(f(0), f(8), f(4), a);
+        }
+
+        static srgb_to_linear(x) {
+            // srgb_to_linear(): The sRGB transfer function is a power curve with a short linear piece near black.
+            return x <= .04045 ? x / 12.92 : Math.pow((x + .055) / 1.055, 2.4)
+        }
+
+        static linear_to_srgb(x) {
+            return x <= .0031308 ? x * 12.92 : 1.055 * Math.pow(x, 1 / 2.4) - .055
+        }
+
+        hue_and_range() {
+            // (Internal helper function)  Returns [ hue, largest channel, smallest channel ].
+            const [r, g, b] = this, max = Math.max(r, g, b), min = Math.min(r, g, b), d = max - min;
+            let hue = 0;
+            if (d > 0)
+                hue = max == r ? (g - b) / d : max == g ? (b - r) / d + 2 : (r - g) / d + 4;
+            return [(hue * 60 + 360) % 360, max, min];
+        }
+
+        to_hsv() {
+            const [h, max, min] = this.hue_and_range();
+            return vec4(h, max == 0 ? 0 : (max - min) / max, max, this[3]);
+        }
+
+        to_hsl() {
+            const [h, max, min] = this.hue_and_range(), l = (max + min) / 2;
+            return vec4(h, max == min ? 0 : (max - min) / (1 - Math.abs(2 * l - 1)), l, this[3]);
+        }
+
+        to_linear() {
+            // to_linear(): Alpha is never encoded, so it's left alone.
+            return Color.create_from_float(...this.slice(0, 3).map(Color.srgb_to_linear), this[3]);
+        }
+
+        to_srgb() {
+            return Color.create_from_float(...this.slice(0, 3).map(Color.linear_to_srgb), this[3]);
+        }
+
+        to_hex() {
+            return "#" + [...this.slice(0, 3)].map(x =>
+                Math.round(Math.min(Math.max(x, 0), 1) * 255).toString(16).padStart(2, "0")).join("");
+        }
+
+        mix(b, s, space = "rgb") {
+            // mix(): Blend towards color b by the fraction s.  Blending in "linear" space avoids the dark
+            // band that sRGB blends show halfway between saturated colors.  The "hsv" and "hsl" spaces
+            // take the shorter way around the hue circle.
+            const blend = (x, y) => vec4(...x).mix(y, s);
+            if (space == "linear")
+                return Color.create_from_float(...blend(this.to_linear(), Color.prototype.to_linear.call(b))).to_srgb();
+            if (space == "hsv" || space == "hsl") {
+                const method = "to_" + space, from = this[method](), to = Color.prototype[method].call(b);
+                // Unwrap the target hue so that it is within 180 degrees of the starting one:
+                to[0] = from[0] + ((to[0] - from[0] + 540) % 360 - 180);
+                const [h, x, y, a] = blend(from, to);
+                return Color["from_" + space]((h + 360) % 360, x, y, a);
             }
-            return v;
+            return Color.create_from_float(...blend(this, b));
         }
     }
 
+Color.named_colors = {
+    aliceblue: "f0f8ff", antiquewhite: "faebd7", aqua: "00ffff", aquamarine: "7fffd4", azure: "f0ffff",
+    beige: "f5f5dc", bisque: "ffe4c4", black: "000000", blanchedalmond: "ffebcd", blue: "0000ff",
+    blueviolet: "8a2be2", brown: "a52a2a", burlywood: "deb887", cadetblue: "5f9ea0", chartreuse: "7fff00",
+    chocolate: "d2691e", coral: "ff7f50", cornflowerblue: "6495ed", cornsilk: "fff8dc", crimson: "dc143c",
+    cyan: "00ffff", darkblue: "00008b", darkcyan: "008b8b", darkgoldenrod: "b8860b", darkgray: "a9a9a9",
+    darkgreen: "006400", darkgrey: "a9a9a9", darkkhaki: "bdb76b", darkmagenta: "8b008b", darkolivegreen: "556b2f",
+    darkorange: "ff8c00", darkorchid: "9932cc", darkred: "8b0000", darksalmon: "e9967a", darkseagreen: "8fbc8f",
+    darkslateblue: "483d8b", darkslategray: "2f4f4f", darkslategrey: "2f4f4f", darkturquoise: "00ced1",
+    darkviolet: "9400d3", deeppink: "ff1493", deepskyblue: "00bfff", dimgray: "696969", dimgrey: "696969",
+    dodgerblue: "1e90ff", firebrick: "b22222", floralwhite: "fffaf0", forestgreen: "228b22", fuchsia: "ff00ff",
+    gainsboro: "dcdcdc", ghostwhite: "f8f8ff", gold: "ffd700", goldenrod: "daa520", gray: "808080",
+    green: "008000", greenyellow: "adff2f", grey: "808080", honeydew: "f0fff0", hotpink: "ff69b4",
+    indianred: "cd5c5c", indigo: "4b0082", ivory: "fffff0", khaki: "f0e68c", lavender: "e6e6fa",
+    lavenderblush: "fff0f5", lawngreen: "7cfc00", lemonchiffon: "fffacd", lightblue: "add8e6", lightcoral: "f08080",
+    lightcyan: "e0ffff", lightgoldenrodyellow: "fafad2", lightgray: "d3d3d3", lightgreen: "90ee90",
+    lightgrey: "d3d3d3", lightpink: "ffb6c1", lightsalmon: "ffa07a", lightseagreen: "20b2aa",
+    lightskyblue: "87cefa", lightslategray: "778899", lightslategrey: "778899", lightsteelblue: "b0c4de",
+    lightyellow: "ffffe0", lime: "00ff00", limegreen: "32cd32", linen: "faf0e6", magenta: "ff00ff",
+    maroon: "800000", mediumaquamarine: "66cdaa", mediumblue: "0000cd", mediumorchid: "ba55d3",
+    mediumpurple: "9370db", mediumseagreen: "3cb371", mediumslateblue: "7b68ee", mediumspringgreen: "00fa9a",
+    mediumturquoise: "48d1cc", mediumvioletred: "c71585", midnightblue: "191970", mintcream: "f5fffa",
+    mistyrose: "ffe4e1", moccasin: "ffe4b5", navajowhite: "ffdead", navy: "000080", oldlace: "fdf5e6",
+    olive: "808000", olivedrab: "6b8e23", orange: "ffa500", orangered: "ff4500", orchid: "da70d6",
+    palegoldenrod: "eee8aa", palegreen: "98fb98", paleturquoise: "afeeee", palevioletred: "db7093",
+    papayawhip: "ffefd5", peachpuff: "ffdab9", peru: "cd853f", pink: "ffc0cb", plum: "dda0dd",
+    powderblue: "b0e0e6", purple: "800080", rebeccapurple: "663399", red: "ff0000", rosybrown: "bc8f8f",
+    royalblue: "4169e1", saddlebrown: "8b4513", salmon: "fa8072", sandybrown: "f4a460", seagreen: "2e8b57",
+    seashell: "fff5ee", sienna: "a0522d", silver: "c0c0c0", skyblue: "87ceeb", slateblue: "6a5acd",
+    slategray: "708090", slategrey: "708090", snow: "fffafa", springgreen: "00ff7f", steelblue: "4682b4",
+    tan: "d2b48c", teal: "008080", thistle: "d8bfd8", tomato: "ff6347", turquoise: "40e0d0", violet: "ee82ee",
+    wheat: "f5deb3", white: "ffffff", whitesmoke: "f5f5f5", yellow: "ffff00", yellowgreen: "9acd32"
+};
+
 const color = tiny.color = Color.create_from_float;
 const hex_color = tiny.hex_color = Color.create_from_hex;
 
@@ -457,6 +632,10 @@ const Matrix = tiny.Matrix =
         //               new Matrix or Vector4 holding the product.
         //  "M.pre_multiply(b)"  overwrites the Matrix M with the product of b * M where b must be another Matrix.
         //  "M.post_multiply(b)" overwrites the Matrix M with the product of M * b where b can be a Matrix or scalar.
+        //  "M.lu()" factors a square M with partial pivoting so that rows permuted by "permutation" equal L * U.
+        //  "M.determinant()", "M.inverse()" work on square matrices of any size using lu().
+        //  "M.solve(b)" returns x such that M * x = b, where b is a Vector or a Matrix with one column per system.
+        //  "M.least_squares(b)" returns the x minimizing |M * x - b| for tall, over-determined systems.
         //  "Matrix.flatten_2D_to_1D( M )" flattens input (a Matrix or any array of Vectors or float arrays)
         //                                 into a row-major 1D array of raw floats.
         //  "M.to_string()" where M contains the 4x4 identity returns "[[1, 0, 0, 0] [0, 1, 0, 0] [0, 0, 1, 0] [0, 0, 0, 1]]".
@@ -467,6 +646,14 @@ const Matrix = tiny.Matrix =
         }
 
         static flatten_2D_to_1D(M) {
+            // A Mat4 is already flat, but in column-major order; transposing it gives row-major.
+            if (M instanceof Mat4) return M.transposed().data;
+            // A list of Mat4s stays column-major though, which is how the GPU reads arrays of them:
+            if (M[0] instanceof Mat4) {
+                const floats = new Float32Array(16 * M.length);
+                M.forEach((m, i) => floats.set(m.data, 16 * i));
+                return floats;
+            }
             let index = 0, floats = new Float32Array(M.length && M.length * M[0].length);
             for (let i = 0; i < M.length; i++) for (let j = 0; j < M[i].length; j++) floats[index++] = M[i][j];
             return floats;
@@ -506,7 +693,8 @@ const Matrix = tiny.Matrix =
         }
 
         transposed() {
-            return this.map((r, i) => r.map((x, j) => this[j][i]))
+            // (Builds columns from rows, so non-square matrices also work.)
+            return Matrix.from(this[0].map((x, j) => this.map(r => r[j])))
         }
 
         times(b, optional_preallocated_result) {
@@ -515,9 +703,10 @@ const Matrix = tiny.Matrix =
             // Matrix * scalar case.
             const len2 = b[0].length;
             if (typeof len2 === "undefined") {
-                let result = optional_preallocated_result || new Vector4(this.length);
-                // Matrix * Vector4 case.
-                for (let r = 0; r < len; r++) result[r] = b.dot(this[r]);
+                let result = optional_preallocated_result || (this.length == 4 ? new Vector4(4) : new Vector(this.length));
+                // Matrix * Vector case.
+                for (let r = 0; r < this.length; r++)
+                    result[r] = this[r].reduce((acc, x, c) => acc + x * b[c], 0);
                 return result;
             }
             let result = optional_preallocated_result || Matrix.from(new Array(this.length));
@@ -548,18 +737,138 @@ const Matrix = tiny.Matrix =
             return this;
         }
 
+        lu() {
+            // lu(): LU decomposition with partial pivoting.  Returns {L, U, permutation, sign}, where L is
+            // unit lower triangular, U is upper triangular, row i of L * U equals row permutation[i] of
+            // this Matrix, and sign is the parity (+1 or -1) of that permutation.  A singular Matrix
+            // leaves a zero on the diagonal of U.
+            const n = this.length;
+            if (this.some(r => r.length != n))
+                throw "Matrix: lu() requires a square matrix.";
+            // Rounding keeps a singular Matrix's pivots from coming out as exactly zero, so count any pivot
+            // this small compared to the largest entry as zero:
+            const tolerance = 1e-12 * Math.max(0, ...this.map(r => Math.max(...r.map(Math.abs))));
+            const U = this.copy(), L = new Matrix(), permutation = [...Array(n).keys()];
+            L.set_identity(n, n);
+            let sign = 1;
+            for (let k = 0; k < n; k++) {
+                // Choose the remaining row with the largest entry in this column, for numerical stability:
+                let p = k;
+                for (let i = k + 1; i < n; i++)
+                    if (Math.abs(U[i][k]) > Math.abs(U[p][k])) p = i;
+                if (p != k) {
+                    [U[k], U[p]] = [U[p], U[k]];
+                    [permutation[k], permutation[p]] = [permutation[p], permutation[k]];
+                    // Swap the multipliers already stored to the left of the diagonal:
+                    for (let j = 0; j < k; j++) [L[k][j], L[p][j]] = [L[p][j], L[k][j]];
+                    sign = -sign;
+                }
+                if (Math.abs(U[k][k]) <= tolerance) {
+                    U[k][k] = 0;
+                    continue;
+                }
+                // Eliminate this column below the diagonal, remembering each multiplier in L:
+                for (let i = k + 1; i < n; i++) {
+                    const f = L[i][k] = U[i][k] / U[k][k];
+                    for (let j = k; j < n; j++) U[i][j] -= f * U[k][j];
+                }
+            }
+            return {L, U, permutation, sign};
+        }
+
+        determinant() {
+            const {U, sign} = this.lu();
+            return U.reduce((acc, r, i) => acc * r[i], sign);
+        }
+
+        solve(b) {
+            // solve(): Returns x such that this * x = b, using forward and back substitution on
+            // lu().  If b is a Matrix, each of its columns is solved for, and x is a Matrix too.
+            const {L, U, permutation} = this.lu(), n = this.length;
+            if (U.some((r, i) => r[i] == 0))
+                throw "Matrix: solve() was given a singular matrix, which has no unique solution.";
+            const solve_one = column => {
+                const x = new Array(n);
+                for (let i = 0; i < n; i++)
+                    x[i] = L[i].slice(0, i).reduce((acc, l, j) => acc - l * x[j], column[permutation[i]]);
+                for (let i = n - 1; i >= 0; i--)
+                    x[i] = U[i].slice(i + 1).reduce((acc, u, j) => acc - u * x[i + 1 + j], x[i]) / U[i][i];
+                return x;
+            };
+            if (typeof b[0].length === "undefined")
+                return Vector.from(solve_one(b));
+            // Solve one column of b at a time, then transpose the answers back into columns:
+            const columns = Matrix.from(b).transposed().map(solve_one);
+            return Matrix.from(columns).transposed();
+        }
+
+        inverse() {
+            const identity = new Matrix();
+            identity.set_identity(this.length, this.length);
+            return this.solve(identity);
+        }
+
+        least_squares(b) {
+            // least_squares(): For a tall m by n Matrix (more equations than unknowns), find the x that
+            // minimizes the squared error of this * x - b, by solving the normal equations
+            // transpose(this) * this * x = transpose(this) * b.
+            const transpose = this.transposed();
+            return transpose.times(this).solve(transpose.times(b));
+        }
+
         to_string() {
             return "[" + this.map((r, i) => "[" + r.join(", ") + "]").join(" ") + "]"
         }
+
+        to_json() {
+            return {class: this.constructor.name, rows: this.map(r => Array.from(r))}
+        }
+
+        static from_json(data) {
+            return Matrix.of(...data.rows)
+        }
     }
 
 
 const Mat4 = tiny.Mat4 =
-    class Mat4 extends Matrix {
-        // **Mat4** generates special 4x4 matrices that are useful for graphics.
-        // All the methods below return a certain 4x4 matrix.
+    class Mat4 {
+        // **Mat4** generates special 4x4 matrices that are useful for graphics.  For speed, a Mat4 keeps
+        // its entries in "M.data", one flat Float32Array of 16 floats stored in column-major order -- the
+        // order that uniformMatrix4fv() expects, so "M.data" can be sent to the GPU without any copying or
+        // transposing.  The entry at row i and column j lives at data[ 4*j + i ].  To keep code easy to
+        // read in terms of rows:
+        //  "M[i][j]" reads and writes the value in row i, column j, through a Mat4_Row view of that row.
+        //  "Mat4.of_rows( r0, r1, r2, r3 )" builds a Mat4 from four row arrays, written the way you'd write it on paper.
+        //  "M.entry( i, j )" and "M.set_entry( i, j, value )" read and write the value in row i, column j.
+        //  "M.row( i )" and "M.column( j )" return one row or column as a vec4.
+        //  "M.to_rows()" returns an array of rows, so "M.to_rows()[i][j]" reads just like a nested array.
+        // Operations come in two forms, like Vector3's do.  In-fix forms return a new Mat4:
+        //  "M.times( b )" (where b can be a scalar, a Vector4, a Vector3 taken as a direction, or another Mat4),
+        //  "M.transposed()", "Mat4.inverse( M )".
+        // while pre-fix forms overwrite the matrix, or fill in an optional pre-allocated result, to avoid
+        // making garbage in code that runs every frame:
+        //  "M.post_multiply( b )", "M.pre_multiply( b )", "M.transpose()", "M.invert()",
+        //  "M.times( b, result )", "M.transposed( result )", "Mat4.inverse( M, result )".
+        // All the static methods below return a certain 4x4 matrix.
+        constructor(data = 16) {
+            // Pass another Mat4 to copy it, or 16 column-major floats.  The default is all zeros.
+            this.data = new Float32Array(data instanceof Mat4 ? data.data : data);
+        }
+
+        static of_rows(r0, r1, r2, r3) {
+            // of_rows(): Builds a Mat4 from four arrays (or Vectors) of four numbers each.
+            const m = new Mat4(), d = m.data;
+            for (let j = 0; j < 4; j++) {
+                d[4 * j] = r0[j];
+                d[4 * j + 1] = r1[j];
+                d[4 * j + 2] = r2[j];
+                d[4 * j + 3] = r3[j];
+            }
+            return m;
+        }
+
         static identity() {
-            return Matrix.of([1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]);
+            return Mat4.of_rows([1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]);
         };
 
         static rotation(angle, x, y, z) {
@@ -571,7 +880,7 @@ const Mat4 = tiny.Mat4 =
             let [i, j, k] = normalize(x, y, z),
                 [c, s] = [Math.cos(angle), Math.sin(angle)],
                 omc = 1.0 - c;
-            return Matrix.of([i * i * omc + c, i * j * omc - k * s, i * k * omc + j * s, 0],
+            return Mat4.of_rows([i * i * omc + c, i * j * omc - k * s, i * k * omc + j * s, 0],
                 [i * j * omc + k * s, j * j * omc + c, j * k * omc - i * s, 0],
                 [i * k * omc - j * s, j * k * omc + i * s, k * k * omc + c, 0],
                 [0, 0, 0, 1]);
@@ -579,7 +888,7 @@ const Mat4 = tiny.Mat4 =
 
         static scale(x, y, z) {
             // scale(): Builds and returns a scale matrix using x,y,z.
-            return Matrix.of([x, 0, 0, 0],
+            return Mat4.of_rows([x, 0, 0, 0],
                 [0, y, 0, 0],
                 [0, 0, z, 0],
                 [0, 0, 0, 1]);
@@ -587,75 +896,1290 @@ const Mat4 = tiny.Mat4 =
 
         static translation(x, y, z) {
             // translation(): Builds and returns a translation matrix using x,y,z.
-            return Matrix.of([1, 0, 0, x],
+            return Mat4.of_rows([1, 0, 0, x],
                 [0, 1, 0, y],
                 [0, 0, 1, z],
                 [0, 0, 0, 1]);
         }
 
-        static look_at(eye, at, up) {
-            // look_at():  Produce a traditional graphics camera "lookat" matrix.
-            // Each input must be a 3x1 Vector.
-            // Note:  look_at() assumes the result will be used for a camera and stores its
-            // result in inverse space.
-            // If you want to use look_at to point a non-camera towards something, you can
-            // do so, but to generate the correct basis you must re-invert its result.
+        static look_at(eye, at, up) {
+            // look_at():  Produce a traditional graphics camera "lookat" matrix.
+            // Each input must be a 3x1 Vector.
+            // Note:  look_at() assumes the result will be used for a camera and stores its
+            // result in inverse space.
+            // If you want to use look_at to point a non-camera towards something, you can
+            // do so, but to generate the correct basis you must re-invert its result.
+
+            // Compute vectors along the requested coordinate axes. "y" is the "updated" and orthogonalized local y axis.
+            let z = at.minus(eye).normalized(),
+                x = z.cross(up).normalized(),
+                y = x.cross(z).normalized();
+
+            // Check for NaN, indicating a degenerate cross product, which
+            // happens if eye == at, or if at minus eye is parallel to up.
+            if (!x.every(i => i == i))
+                throw "Two parallel vectors were given";
+            z.scale_by(-1);                               // Enforce right-handed coordinate system.
+            return Mat4.translation(-x.dot(eye), -y.dot(eye), -z.dot(eye))
+                .times(Mat4.of_rows(x.to4(0), y.to4(0), z.to4(0), vec4(0, 0, 0, 1)));
+        }
+
+        static orthographic(left, right, bottom, top, near, far) {
+            // orthographic(): Box-shaped view volume for projection.
+            return Mat4.scale(1 / (right - left), 1 / (top - bottom), 1 / (far - near))
+                .times(Mat4.translation(-left - right, -top - bottom, -near - far))
+                .times(Mat4.scale(2, 2, -2));
+        }
+
+        static perspective(fov_y, aspect, near, far) {
+            // perspective(): Frustum-shaped view volume for projection.
+            const f = 1 / Math.tan(fov_y / 2), d = far - near;
+            return Mat4.of_rows([f / aspect, 0, 0, 0],
+                [0, f, 0, 0],
+                [0, 0, -(near + far) / d, -2 * near * far / d],
+                [0, 0, -1, 0]);
+        }
+
+        static frustum(left, right, bottom, top, near, far) {
+            // frustum(): Like perspective(), but the view volume can be off-center.  The first four
+            // arguments give the edges of the view window where it crosses the near plane.  Useful
+            // for stereo pairs, tiled displays, and head-tracked ("window") views.
+            const w = right - left, h = top - bottom, d = far - near;
+            return Mat4.of_rows([2 * near / w, 0, (right + left) / w, 0],
+                [0, 2 * near / h, (top + bottom) / h, 0],
+                [0, 0, -(near + far) / d, -2 * near * far / d],
+                [0, 0, -1, 0]);
+        }
+
+        static infinite_perspective(fov_y, aspect, near, reversed_z = false) {
+            // infinite_perspective(): The limit of perspective() as "far" goes to infinity, so that
+            // nothing is ever clipped for being too distant.  With reversed_z, depth runs from 1 at the
+            // near plane down to 0 at infinity, which spreads depth precision more evenly across
+            // distances; draw with gl.depthFunc( gl.GEQUAL ) and gl.clearDepth( 0 ) if you use it.
+            const f = 1 / Math.tan(fov_y / 2);
+            return Mat4.of_rows([f / aspect, 0, 0, 0],
+                [0, f, 0, 0],
+                reversed_z ? [0, 0, 1, 2 * near] : [0, 0, -1, -2 * near],
+                [0, 0, -1, 0]);
+        }
+
+        static project(world_point, program_state, viewport) {
+            // project(): Find where a 3x1 world space point lands on the canvas.  The viewport is
+            // [ x, y, width, height ] in pixels.  Returns a vec3 of pixel coordinates measured from
+            // the canvas's top left (like mouse events and CSS use), plus a depth from 0 to 1.
+            const [x, y, width, height] = viewport,
+                clip = program_state.projection_transform.times(program_state.camera_inverse)
+                    .times(world_point.to4(1)),
+                ndc = clip.to3().times(1 / clip[3]);
+            return vec3(x + (ndc[0] + 1) / 2 * width, y + (1 - ndc[1]) / 2 * height, (ndc[2] + 1) / 2);
+        }
+
+        static unproject(screen_xy, depth, program_state, viewport) {
+            // unproject(): The reverse of project().  Takes pixel coordinates and a depth from 0
+            // (the near plane) to 1 (the far plane), and returns the world space point there.
+            const [x, y, width, height] = viewport,
+                ndc = vec4(2 * (screen_xy[0] - x) / width - 1, 1 - 2 * (screen_xy[1] - y) / height, 2 * depth - 1, 1),
+                world = program_state.camera_transform.times(Mat4.inverse(program_state.projection_transform))
+                    .times(ndc);
+            return world.to3().times(1 / world[3]);
+        }
+
+        static inverse(matrix, result = new Mat4()) {
+            // inverse(): A 4x4 inverse.  Computing it is slow because of
+            // the amount of steps; call fewer times when possible.
+            // Read every entry first, so that result is allowed to be m itself.
+            const m = matrix.data, m00 = m[0], m01 = m[4], m02 = m[8], m03 = m[12],
+                m10 = m[1], m11 = m[5], m12 = m[9], m13 = m[13],
+                m20 = m[2], m21 = m[6], m22 = m[10], m23 = m[14],
+                m30 = m[3], m31 = m[7], m32 = m[11], m33 = m[15];
+            const r00 = m12 * m23 * m31 - m13 * m22 * m31 + m13 * m21 * m32 - m11 * m23 * m32 - m12 * m21 * m33 + m11 * m22 * m33;
+            const r01 = m03 * m22 * m31 - m02 * m23 * m31 - m03 * m21 * m32 + m01 * m23 * m32 + m02 * m21 * m33 - m01 * m22 * m33;
+            const r02 = m02 * m13 * m31 - m03 * m12 * m31 + m03 * m11 * m32 - m01 * m13 * m32 - m02 * m11 * m33 + m01 * m12 * m33;
+            const r03 = m03 * m12 * m21 - m02 * m13 * m21 - m03 * m11 * m22 + m01 * m13 * m22 + m02 * m11 * m23 - m01 * m12 * m23;
+            const r10 = m13 * m22 * m30 - m12 * m23 * m30 - m13 * m20 * m32 + m10 * m23 * m32 + m12 * m20 * m33 - m10 * m22 * m33;
+            const r11 = m02 * m23 * m30 - m03 * m22 * m30 + m03 * m20 * m32 - m00 * m23 * m32 - m02 * m20 * m33 + m00 * m22 * m33;
+            const r12 = m03 * m12 * m30 - m02 * m13 * m30 - m03 * m10 * m32 + m00 * m13 * m32 + m02 * m10 * m33 - m00 * m12 * m33;
+            const r13 = m02 * m13 * m20 - m03 * m12 * m20 + m03 * m10 * m22 - m00 * m13 * m22 - m02 * m10 * m23 + m00 * m12 * m23;
+            const r20 = m11 * m23 * m30 - m13 * m21 * m30 + m13 * m20 * m31 - m10 * m23 * m31 - m11 * m20 * m33 + m10 * m21 * m33;
+            const r21 = m03 * m21 * m30 - m01 * m23 * m30 - m03 * m20 * m31 + m00 * m23 * m31 + m01 * m20 * m33 - m00 * m21 * m33;
+            const r22 = m01 * m13 * m30 - m03 * m11 * m30 + m03 * m10 * m31 - m00 * m13 * m31 - m01 * m10 * m33 + m00 * m11 * m33;
+            const r23 = m03 * m11 * m20 - m01 * m13 * m20 - m03 * m10 * m21 + m00 * m13 * m21 + m01 * m10 * m23 - m00 * m11 * m23;
+            const r30 = m12 * m21 * m30 - m11 * m22 * m30 - m12 * m20 * m31 + m10 * m22 * m31 + m11 * m20 * m32 - m10 * m21 * m32;
+            const r31 = m01 * m22 * m30 - m02 * m21 * m30 + m02 * m20 * m31 - m00 * m22 * m31 - m01 * m20 * m32 + m00 * m21 * m32;
+            const r32 = m02 * m11 * m30 - m01 * m12 * m30 - m02 * m10 * m31 + m00 * m12 * m31 + m01 * m10 * m32 - m00 * m11 * m32;
+            const r33 = m01 * m12 * m20 - m02 * m11 * m20 + m02 * m10 * m21 - m00 * m12 * m21 - m01 * m10 * m22 + m00 * m11 * m22;
+            // Divide by determinant and return.
+            const d = 1 / (m00 * r00 + m10 * r01 + m20 * r02 + m30 * r03), out = result.data;
+            out[0] = r00 * d;
+            out[1] = r10 * d;
+            out[2] = r20 * d;
+            out[3] = r30 * d;
+            out[4] = r01 * d;
+            out[5] = r11 * d;
+            out[6] = r21 * d;
+            out[7] = r31 * d;
+            out[8] = r02 * d;
+            out[9] = r12 * d;
+            out[10] = r22 * d;
+            out[11] = r32 * d;
+            out[12] = r03 * d;
+            out[13] = r13 * d;
+            out[14] = r23 * d;
+            out[15] = r33 * d;
+            return result;
+        }
+
+        static decompose(matrix) {
+            // decompose(): Split an affine 4x4 matrix into the three pieces that built it, such that
+            // m = translation * rotation * scale.  Returns translation and scale as 3x1 Vectors and the
+            // rotation as a Quaternion.  Scale may be non-uniform; a mirrored matrix gets a negative x
+            // scale.  Any shear in m cannot be represented this way, and is discarded.  An axis scaled to
+            // zero has no direction left to find, so the rotation uses any direction that completes it.
+            const m = matrix.data, translation = vec3(m[12], m[13], m[14]),
+                columns = [0, 1, 2].map(j => vec3(m[4 * j], m[4 * j + 1], m[4 * j + 2])),
+                scale = vec3(...columns.map(c => c.norm())), largest = Math.max(...scale);
+            // Divide the scale back out of each column to leave the axes of a pure rotation:
+            const axes = columns.map((c, j) => scale[j] > 1e-8 * largest ? c.times(1 / scale[j]) : undefined),
+                missing = [0, 1, 2].filter(j => !axes[j]);
+            // A negative determinant means the basis is left-handed; absorb the flip into the scale:
+            if (!missing.length && axes[0].cross(axes[1]).dot(axes[2]) < 0) {
+                scale[0] *= -1;
+                axes[0].scale_by(-1);
+            }
+            if (missing.length == 3)
+                axes.splice(0, 3, vec3(1, 0, 0), vec3(0, 1, 0), vec3(0, 0, 1));
+            if (missing.length == 2) {
+                // Make a second axis perpendicular to the one left, starting from the least parallel unit axis:
+                const k = [0, 1, 2].find(j => axes[j]), a = axes[k],
+                    e = [vec3(1, 0, 0), vec3(0, 1, 0), vec3(0, 0, 1)]
+                        .reduce((best, unit) => Math.abs(unit.dot(a)) < Math.abs(best.dot(a)) ? unit : best);
+                axes[(k + 1) % 3] = e.minus(a.times(e.dot(a))).normalized();
+            }
+            // At most one axis is missing now; the cross product of the next two completes a right-handed basis:
+            for (let j = 0; j < 3; j++)
+                if (!axes[j]) axes[j] = axes[(j + 1) % 3].cross(axes[(j + 2) % 3]).normalized();
+            const r = Mat4.identity();
+            axes.forEach((axis, j) => r.data.set(axis, 4 * j));
+            return {translation, rotation: Quaternion.from_mat4(r), scale};
+        }
+
+        static compose(translation, rotation, scale) {
+            // compose(): The reverse of decompose().  Builds translation * rotation * scale out of
+            // 3x1 Vectors for translation and scale, and a Quaternion for rotation.
+            return Mat4.translation(...translation).times(rotation.to_mat4()).times(Mat4.scale(...scale));
+        }
+
+        static interpolate(a, b, alpha) {
+            // interpolate(): Blend between two arbitrary affine matrices by decomposing each, mixing
+            // translation and scale linearly, and slerping the rotation.
+            const from = Mat4.decompose(a), to = Mat4.decompose(b);
+            return Mat4.compose(from.translation.mix(to.translation, alpha),
+                from.rotation.slerp(to.rotation, alpha), from.scale.mix(to.scale, alpha));
+        }
+
+        get length() {
+            // A Mat4 has four rows, like the array of rows that a Matrix is.
+            return 4
+        }
+
+        * [Symbol.iterator]() {
+            for (let i = 0; i < 4; i++) yield this[i];
+        }
+
+        copy() {
+            return new Mat4(this)
+        }
+
+        set(m) {
+            // set(): Overwrite this matrix with the entries of another Mat4.
+            this.data.set(m.data);
+            return this;
+        }
+
+        set_identity() {
+            // set_identity(): Overwrite this matrix with the identity.  (Any arguments are ignored,
+            // for compatibility with Matrix's version.)
+            const d = this.data;
+            d.fill(0);
+            d[0] = d[5] = d[10] = d[15] = 1;
+            return this;
+        }
+
+        entry(i, j) {
+            return this.data[4 * j + i]
+        }
+
+        set_entry(i, j, value) {
+            this.data[4 * j + i] = value
+        }
+
+        row(i) {
+            const d = this.data;
+            return vec4(d[i], d[4 + i], d[8 + i], d[12 + i])
+        }
+
+        column(j) {
+            const d = this.data;
+            return vec4(d[4 * j], d[4 * j + 1], d[4 * j + 2], d[4 * j + 3])
+        }
+
+        to_rows() {
+            const d = this.data;
+            return [0, 1, 2, 3].map(i => [d[i], d[4 + i], d[8 + i], d[12 + i]])
+        }
+
+        equals(b) {
+            return this.data.every((x, i) => x == b.data[i])
+        }
+
+        plus(b) {
+            return new Mat4(this.data.map((x, i) => x + b.data[i]))
+        }
+
+        minus(b) {
+            return new Mat4(this.data.map((x, i) => x - b.data[i]))
+        }
+
+        transposed(result = new Mat4()) {
+            if (result === this) return this.transpose();
+            const d = this.data, out = result.data;
+            for (let i = 0; i < 4; i++)
+                for (let j = 0; j < 4; j++) out[4 * j + i] = d[4 * i + j];
+            return result;
+        }
+
+        transpose() {
+            // transpose(): Swap rows and columns in place.
+            const d = this.data;
+            for (let i = 0; i < 4; i++)
+                for (let j = i + 1; j < 4; j++) {
+                    const temp = d[4 * j + i];
+                    d[4 * j + i] = d[4 * i + j];
+                    d[4 * i + j] = temp;
+                }
+            return this;
+        }
+
+        invert() {
+            // invert(): Overwrite this matrix with its inverse.
+            return Mat4.inverse(this, this);
+        }
+
+        times(b, optional_preallocated_result) {
+            const d = this.data;
+            if (typeof b === "number") {
+                // Mat4 * scalar case.
+                const result = optional_preallocated_result || new Mat4(), out = result.data;
+                for (let i = 0; i < 16; i++) out[i] = d[i] * b;
+                return result;
+            }
+            // Mat4 * Mat4 case, also allowing a general Matrix (an array of rows) as input:
+            if (b instanceof Mat4 || Array.isArray(b) && typeof b[0] != "number")
+                return Mat4.multiply(this, b instanceof Mat4 ? b : Mat4.of_rows(...b),
+                    optional_preallocated_result || new Mat4());
+            if (b.length == 4) {
+                // Mat4 * Vector4 case.
+                const result = optional_preallocated_result || new Vector4(4),
+                    b0 = b[0], b1 = b[1], b2 = b[2], b3 = b[3];
+                for (let i = 0; i < 4; i++)
+                    result[i] = d[i] * b0 + d[4 + i] * b1 + d[8 + i] * b2 + d[12 + i] * b3;
+                return result;
+            }
+            if (b.length == 3) {
+                // Mat4 * Vector3 case.  The Vector3 is taken as a direction (a fourth coordinate of 0), so
+                // translation doesn't affect it.  To move a point instead, use M.times( p.to4(1) ).to3().
+                const result = optional_preallocated_result || new Vector3(3), b0 = b[0], b1 = b[1], b2 = b[2];
+                for (let i = 0; i < 3; i++)
+                    result[i] = d[i] * b0 + d[4 + i] * b1 + d[8 + i] * b2;
+                return result;
+            }
+            throw "Mat4: times() needs a scalar, a Vector3, a Vector4, or another matrix.";
+        }
+
+        static multiply(a, b, result) {
+            // multiply(): Store the product a * b into result, which is allowed to be a or b itself.
+            // (Internal helper function)
+            const A = a.data, B = b.data, out = result.data;
+            for (let j = 0; j < 4; j++) {
+                const b0 = B[4 * j], b1 = B[4 * j + 1], b2 = B[4 * j + 2], b3 = B[4 * j + 3];
+                for (let i = 0; i < 4; i++)
+                    Mat4.column_scratch[i] = A[i] * b0 + A[4 + i] * b1 + A[8 + i] * b2 + A[12 + i] * b3;
+                if (result === a) {
+                    // Later columns of b still need the old a, so hold off writing over it.
+                    Mat4.product_scratch.set(Mat4.column_scratch, 4 * j);
+                    continue;
+                }
+                out.set(Mat4.column_scratch, 4 * j);
+            }
+            if (result === a)
+                out.set(Mat4.product_scratch);
+            return result;
+        }
+
+        pre_multiply(b) {
+            // pre_multiply(): Overwrite this matrix with the product b * this.
+            return Mat4.multiply(b, this, this);
+        }
+
+        post_multiply(b) {
+            // post_multiply(): Overwrite this matrix with the product this * b.  A scalar b is also allowed.
+            if (typeof b === "number") return this.times(b, this);
+            return Mat4.multiply(this, b, this);
+        }
+
+        to_string() {
+            return "[" + this.to_rows().map(r => "[" + r.join(", ") + "]").join(" ") + "]"
+        }
+
+        to_json() {
+            // to_json(): Saved as rows, which read naturally in a file despite the column-major storage.
+            return {class: "Mat4", rows: this.to_rows()}
+        }
+
+        static from_json(data) {
+            return Mat4.of_rows(...data.rows)
+        }
+    }
+
+// Shared storage that Mat4.multiply() writes into before copying to its result:
+Mat4.column_scratch = new Float32Array(4);
+Mat4.product_scratch = new Float32Array(16);
+
+const Mat4_Row = tiny.Mat4_Row =
+    class Mat4_Row {
+        // **Mat4_Row** is a view of one row of a Mat4, which "M[i]" returns.  Reading or writing entry j of
+        // it goes straight to the Mat4's column-major floats, so "M[i][j] = x" changes the Mat4.  A row
+        // also spreads like an array, as in "vec4( ...M[i] )".
+        constructor(data, i) {
+            Object.assign(this, {data, i})
+        }
+
+        get length() {
+            return 4
+        }
+
+        * [Symbol.iterator]() {
+            for (let j = 0; j < 4; j++) yield this.data[4 * j + this.i];
+        }
+    }
+
+// Make "M[i]" and "M[i][j]" work.  Each Mat4 makes its four row views the first time one is asked for:
+for (let k = 0; k < 4; k++) {
+    Object.defineProperty(Mat4.prototype, k, {
+        get() {
+            if (!this.rows) this.rows = [0, 1, 2, 3].map(i => new Mat4_Row(this.data, i));
+            return this.rows[k];
+        }
+    });
+    Object.defineProperty(Mat4_Row.prototype, k, {
+        get() {
+            return this.data[4 * k + this.i]
+        },
+        set(value) {
+            this.data[4 * k + this.i] = value
+        }
+    });
+}
+
+
+const Quaternion = tiny.Quaternion =
+    class Quaternion extends Float32Array {
+        // **Quaternion** stores a rotation as four floats ( x, y, z, w ), where ( x, y, z ) is the
+        // axis of rotation scaled by sin( angle/2 ) and w is cos( angle/2 ).  Unlike a rotation matrix,
+        // a Quaternion can be smoothly and correctly interpolated with slerp(), and it cannot drift
+        // into a shear the way blending matrix rows can.  Example usage:
+        //  "Quaternion.from_axis_angle( angle, x,y,z )" matches the rotation of Mat4.rotation( angle, x,y,z ).
+        //  "Quaternion.from_euler( a, b, c, 'XYZ' )" matches Mat4.rotation( a, 1,0,0 ).times( Mat4.rotation( b, 0,1,0 ) )
+        //                                           .times( Mat4.rotation( c, 0,0,1 ) ).  Other axis orders are allowed.
+        //  "q.times( r )" composes two rotations; like matrices, r is applied first.
+        //  "q.rotate( v )" rotates a vec3 and returns the new one.
+        //  "q.slerp( r, alpha )" interpolates along the shortest arc between q and r.
+        //  "q.to_mat4()" and "Quaternion.from_mat4( m )" convert to and from rotation matrices.
+        static create(x, y, z, w) {
+            const q = new Quaternion(4);
+            q[0] = x;
+            q[1] = y;
+            q[2] = z;
+            q[3] = w;
+            return q;
+        }
+
+        static identity() {
+            return Quaternion.create(0, 0, 0, 1);
+        }
+
+        static from_axis_angle(angle, x, y, z) {
+            // from_axis_angle(): Requires a scalar (angle) and a three-component axis vector.
+            const n = Math.sqrt(x * x + y * y + z * z), s = Math.sin(angle / 2) / n;
+            return Quaternion.create(x * s, y * s, z * s, Math.cos(angle / 2));
+        }
+
+        static from_euler(a, b, c, order = "XYZ") {
+            // from_euler(): Builds the product of three axis rotations.  The i-th letter of "order"
+            // names the axis that the i-th angle turns around.
+            const axes = {X: [1, 0, 0], Y: [0, 1, 0], Z: [0, 0, 1]};
+            return [a, b, c].reduce((acc, angle, i) =>
+                acc.times(Quaternion.from_axis_angle(angle, ...axes[order[i]])), Quaternion.identity());
+        }
+
+        static from_mat4(m) {
+            // from_mat4(): Extract the rotation stored in the upper 3x3 of a Mat4.  The matrix
+            // must hold no scale or shear; see Mat4.decompose() for matrices that do.
+            const d = m.data, m00 = d[0], m01 = d[4], m02 = d[8],
+                m10 = d[1], m11 = d[5], m12 = d[9],
+                m20 = d[2], m21 = d[6], m22 = d[10],
+                trace = m00 + m11 + m22;
+            // Divide by whichever component is largest, to stay numerically stable:
+            if (trace > 0) {
+                const s = .5 / Math.sqrt(trace + 1);
+                return Quaternion.create((m21 - m12) * s, (m02 - m20) * s, (m10 - m01) * s, .25 / s);
+            }
+            if (m00 > m11 && m00 > m22) {
+                const s = 2 * Math.sqrt(1 + m00 - m11 - m22);
+                return Quaternion.create(.25 * s, (m01 + m10) / s, (m02 + m20) / s, (m21 - m12) / s);
+            }
+            if (m11 > m22) {
+                const s = 2 * Math.sqrt(1 + m11 - m00 - m22);
+                return Quaternion.create((m01 + m10) / s, .25 * s, (m12 + m21) / s, (m02 - m20) / s);
+            }
+            const s = 2 * Math.sqrt(1 + m22 - m00 - m11);
+            return Quaternion.create((m02 + m20) / s, (m12 + m21) / s, .25 * s, (m10 - m01) / s);
+        }
+
+        static slerp(a, b, alpha) {
+            return a.slerp(b, alpha)
+        }
+
+        copy() {
+            return Quaternion.from(this)
+        }
+
+        equals(b) {
+            return this[0] == b[0] && this[1] == b[1] && this[2] == b[2] && this[3] == b[3]
+        }
+
+        times(b) {
+            // times(): The Hamilton product this * b.
+            const [ax, ay, az, aw] = this, [bx, by, bz, bw] = b;
+            return Quaternion.create(aw * bx + ax * bw + ay * bz - az * by,
+                aw * by - ax * bz + ay * bw + az * bx,
+                aw * bz + ax * by - ay * bx + az * bw,
+                aw * bw - ax * bx - ay * by - az * bz);
+        }
+
+        conjugate() {
+            return Quaternion.create(-this[0], -this[1], -this[2], this[3])
+        }
+
+        inverse() {
+            // inverse(): For unit quaternions (all rotations) this is the same as conjugate().
+            const d = 1 / this.dot(this);
+            return Quaternion.create(-this[0] * d, -this[1] * d, -this[2] * d, this[3] * d);
+        }
+
+        dot(b) {
+            return this[0] * b[0] + this[1] * b[1] + this[2] * b[2] + this[3] * b[3]
+        }
+
+        norm() {
+            return Math.sqrt(this.dot(this))
+        }
+
+        normalized() {
+            const d = 1 / this.norm();
+            return Quaternion.create(this[0] * d, this[1] * d, this[2] * d, this[3] * d);
+        }
+
+        normalize() {
+            const d = 1 / this.norm();
+            this[0] *= d;
+            this[1] *= d;
+            this[2] *= d;
+            this[3] *= d;
+        }
+
+        rotate(v) {
+            // rotate(): Apply this rotation to a 3x1 Vector, without building a matrix.
+            const [x, y, z, w] = this,
+                tx = 2 * (y * v[2] - z * v[1]), ty = 2 * (z * v[0] - x * v[2]), tz = 2 * (x * v[1] - y * v[0]);
+            return vec3(v[0] + w * tx + y * tz - z * ty,
+                v[1] + w * ty + z * tx - x * tz,
+                v[2] + w * tz + x * ty - y * tx);
+        }
+
+        slerp(b, alpha) {
+            // slerp(): Spherical linear interpolation.  Travels at constant angular speed along
+            // the shorter of the two arcs that connect this rotation to b.
+            let cos = this.dot(b), sign = 1;
+            if (cos < 0) {
+                // q and -q are the same rotation; flip one to take the short way around.
+                cos = -cos;
+                sign = -1;
+            }
+            // Nearly identical rotations fall back to a normalized linear blend, using these weights:
+            let s0 = 1 - alpha, s1 = alpha * sign;
+            if (cos < .9995) {
+                // Otherwise, weight each end by the sine of the angle still left to travel from the other.
+                const theta = Math.acos(cos), sin = Math.sin(theta);
+                s0 = Math.sin(s0 * theta) / sin;
+                s1 = Math.sin(alpha * theta) / sin * sign;
+            }
+            return Quaternion.create(s0 * this[0] + s1 * b[0], s0 * this[1] + s1 * b[1],
+                s0 * this[2] + s1 * b[2], s0 * this[3] + s1 * b[3]).normalized();
+        }
+
+        to_mat4() {
+            // to_mat4(): Build the equivalent 4x4 rotation matrix.
+            const [x, y, z, w] = this.normalized();
+            return Mat4.of_rows([1 - 2 * (y * y + z * z), 2 * (x * y - z * w), 2 * (x * z + y * w), 0],
+                [2 * (x * y + z * w), 1 - 2 * (x * x + z * z), 2 * (y * z - x * w), 0],
+                [2 * (x * z - y * w), 2 * (y * z + x * w), 1 - 2 * (x * x + y * y), 0],
+                [0, 0, 0, 1]);
+        }
+
+        to_string() {
+            return "[quaternion " + this.join(", ") + "]"
+        }
+
+        to_json() {
+            // to_json(): Returns a plain object that JSON.stringify() can save.  See tiny.to_json().
+            return {class: this.constructor.name, values: Array.from(this)}
+        }
+
+        static from_json(data) {
+            return this.from(data.values)
+        }
+    }
+
+const quat = tiny.quat = Quaternion.create;
+
+
+const Matrix_Stack = tiny.Matrix_Stack =
+    class Matrix_Stack {
+        // **Matrix_Stack** helps draw hierarchies (like the arms of a robot) without the aliasing bugs
+        // that come from sharing one matrix variable.  The top of the stack is the current coordinate
+        // frame, which translate(), rotate(), scale() and multiply() modify in place.  Call push()
+        // before descending into a child part, and pop() to return to exactly the frame you left.
+        // Example usage:
+        //  "const stack = new Matrix_Stack();"
+        //  "stack.translate( 0,2,0 ).push().rotate( t, 0,0,1 );  shape.draw( ..., stack.top(), ... );  stack.pop();"
+        // Optionally pass in an Axes_Viewer (or any object with an insert( basis, group_id ) method),
+        // and the stack will send it every frame it branches from or leaves, grouped by depth
+        // in the hierarchy.  Call record() to send the current frame at any other time.
+        constructor(initial = Mat4.identity(), axes_viewer) {
+            this.axes_viewer = axes_viewer;
+            this.reset(initial);
+        }
+
+        reset(initial = Mat4.identity()) {
+            // reset(): Empty the stack.  Call at the start of every frame if you re-use the stack.
+            this.matrices = [initial.copy()];
+            // Whether each level's frame has been sent to the axes viewer since it last changed:
+            this.recorded = [false];
+        }
+
+        top() {
+            // top(): The current frame.  Pass it to draw(); copy() it if you need to keep it.
+            return this.matrices[this.matrices.length - 1]
+        }
+
+        depth() {
+            return this.matrices.length - 1
+        }
+
+        record() {
+            // record(): Send a copy of the current frame to the axes viewer, if there is one.
+            const level = this.depth();
+            if (this.axes_viewer && !this.recorded[level])
+                this.axes_viewer.insert(this.top().copy(), level);
+            this.recorded[level] = true;
+            return this;
+        }
+
+        push() {
+            // push(): Save the current frame; modifications after this only last until pop().
+            this.record();
+            this.matrices.push(this.top().copy());
+            this.recorded.push(false);
+            return this;
+        }
+
+        pop() {
+            // pop(): Discard the current frame, restoring the one saved at the matching push().
+            if (this.matrices.length == 1)
+                throw "Matrix_Stack: pop() was called more times than push().";
+            this.record();
+            this.matrices.pop();
+            this.recorded.pop();
+            return this;
+        }
+
+        multiply(m) {
+            // multiply(): Post-multiply the current frame by m, so that m acts in local coordinates.
+            this.top().post_multiply(m);
+            this.recorded[this.depth()] = false;
+            return this;
+        }
+
+        set(m) {
+            // set(): Replace the current frame with a copy of m.
+            this.top().set(m);
+            this.recorded[this.depth()] = false;
+            return this;
+        }
+
+        translate(x, y, z) {
+            return this.multiply(Mat4.translation(x, y, z))
+        }
+
+        rotate(angle, x, y, z) {
+            return this.multiply(Mat4.rotation(angle, x, y, z))
+        }
+
+        scale(x, y, z) {
+            return this.multiply(Mat4.scale(x, y, z))
+        }
+    }
+
+
+const Ray = tiny.Ray =
+    class Ray {
+        // **Ray** is a half-line that starts at "origin" (a 3x1 point) and travels along "direction" (a
+        // 3x1 Vector, which need not be unit length).  The intersect methods each return the distance
+        // t along the ray at which it first hits the given volume, so that ray.at( t ) is the hit point,
+        // or undefined on a miss.  Distances are measured in units of the length of "direction".
+        constructor(origin, direction) {
+            Object.assign(this, {origin, direction});
+        }
+
+        static from_screen_point(screen_xy, program_state, viewport) {
+            // from_screen_point(): The ray through a pixel (such as a mouse position), starting at the
+            // near plane and heading away from the camera.  Use it for picking.  See Mat4.unproject().
+            const near = Mat4.unproject(screen_xy, 0, program_state, viewport),
+                further = Mat4.unproject(screen_xy, .5, program_state, viewport);
+            return new Ray(near, further.minus(near).normalized());
+        }
+
+        at(t) {
+            // at(): The point reached after traveling t units along the ray.
+            return this.origin.plus(this.direction.times(t))
+        }
+
+        transformed(m) {
+            // transformed(): Returns this ray as seen through the Mat4 m.
+            return new Ray(m.times(this.origin.to4(1)).to3(), m.times(this.direction.to4(0)).to3());
+        }
+
+        intersect_triangle(a, b, c, cull_back_faces = false) {
+            // intersect_triangle(): Test against the triangle with corners a, b, c using the
+            // Moller-Trumbore method, which solves for barycentric coordinates directly.
+            const edge1 = b.minus(a), edge2 = c.minus(a),
+                p = this.direction.cross(edge2), det = edge1.dot(p);
+            // A determinant near zero means the ray is parallel to the triangle's plane.  A negative one
+            // means the ray approaches the back face (the corners run clockwise from its viewpoint).
+            if (Math.abs(det) < 1E-8 || (cull_back_faces && det < 0))
+                return undefined;
+            const inv_det = 1 / det, s = this.origin.minus(a), u = s.dot(p) * inv_det;
+            if (u < 0 || u > 1)
+                return undefined;
+            const q = s.cross(edge1), v = this.direction.dot(q) * inv_det;
+            if (v < 0 || u + v > 1)
+                return undefined;
+            const t = edge2.dot(q) * inv_det;
+            return t >= 0 ? t : undefined;
+        }
+
+        intersect_plane(plane) {
+            const denominator = plane.normal.dot(this.direction);
+            if (denominator == 0)
+                return undefined;
+            const t = -plane.signed_distance(this.origin) / denominator;
+            return t >= 0 ? t : undefined;
+        }
+
+        intersect_box(box) {
+            // intersect_box(): The "slab" method.  Clip the ray's range of t against each pair of
+            // parallel box faces in turn; the ray hits if any range is left over.
+            let t_min = 0, t_max = Infinity;
+            for (let i = 0; i < 3; i++) {
+                const inv = 1 / this.direction[i];
+                let t0 = (box.min[i] - this.origin[i]) * inv, t1 = (box.max[i] - this.origin[i]) * inv;
+                if (inv < 0) [t0, t1] = [t1, t0];
+                // (Comparisons against NaN fail, which correctly ignores slabs the ray runs parallel to.)
+                if (t0 > t_min) t_min = t0;
+                if (t1 < t_max) t_max = t1;
+                if (t_max < t_min)
+                    return undefined;
+            }
+            return t_min;
+        }
+
+        intersect_sphere(sphere) {
+            // intersect_sphere(): Solve the quadratic |origin + t * direction - center|^2 = radius^2.
+            const offset = this.origin.minus(sphere.center), a = this.direction.dot(this.direction),
+                half_b = offset.dot(this.direction), c = offset.dot(offset) - sphere.radius * sphere.radius,
+                discriminant = half_b * half_b - a * c;
+            if (discriminant < 0)
+                return undefined;
+            const root = Math.sqrt(discriminant), near = (-half_b - root) / a, far = (-half_b + root) / a;
+            // If the ray starts inside the sphere, the near root is behind it; use the far one, where the
+            // ray leaves the sphere:
+            if (near >= 0) return near;
+            return far >= 0 ? far : undefined;
+        }
+    }
+
+
+const Plane = tiny.Plane =
+    class Plane {
+        // **Plane** stores the set of points p where normal.dot( p ) + distance == 0.  Points
+        // with a positive signed_distance() are on the side that the normal points towards.
+        constructor(normal, distance) {
+            Object.assign(this, {normal, distance});
+        }
+
+        static from_point_normal(point, normal) {
+            const n = normal.normalized();
+            return new Plane(n, -n.dot(point));
+        }
+
+        static from_points(a, b, c) {
+            // from_points(): The normal follows the right hand rule around a, b, c.
+            return Plane.from_point_normal(a, b.minus(a).cross(c.minus(a)));
+        }
+
+        static from_vec4(v) {
+            // from_vec4(): Builds a normalized Plane from the coefficients of a x + b y + c z + d = 0.
+            const length = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+            return new Plane(vec3(v[0] / length, v[1] / length, v[2] / length), v[3] / length);
+        }
+
+        signed_distance(p) {
+            return this.normal.dot(p) + this.distance
+        }
+
+        transformed(m) {
+            // transformed(): Planes transform by the inverse transpose matrix, like normals do.
+            const coefficients = vec4(...this.normal, this.distance);
+            return Plane.from_vec4(Mat4.inverse(m).transposed().times(coefficients));
+        }
+    }
+
+
+const AABB = tiny.AABB =
+    class AABB {
+        // **AABB** is an axis-aligned bounding box, stored as its "min" and "max" corners (3x1 points).
+        constructor(min = vec3(Infinity, Infinity, Infinity), max = vec3(-Infinity, -Infinity, -Infinity)) {
+            // (The default box is empty, ready to be grown by expand_by_point().)
+            Object.assign(this, {min, max});
+        }
+
+        static from_points(points) {
+            const box = new AABB();
+            for (let p of points) box.expand_by_point(p);
+            return box;
+        }
+
+        expand_by_point(p) {
+            for (let i = 0; i < 3; i++) {
+                this.min[i] = Math.min(this.min[i], p[i]);
+                this.max[i] = Math.max(this.max[i], p[i]);
+            }
+            return this;
+        }
+
+        center() {
+            return this.min.mix(this.max, .5)
+        }
+
+        half_extents() {
+            return this.max.minus(this.min).times(.5)
+        }
+
+        contains_point(p) {
+            return p[0] >= this.min[0] && p[0] <= this.max[0] && p[1] >= this.min[1] && p[1] <= this.max[1]
+                && p[2] >= this.min[2] && p[2] <= this.max[2]
+        }
+
+        intersects_box(b) {
+            return this.min[0] <= b.max[0] && this.max[0] >= b.min[0] && this.min[1] <= b.max[1]
+                && this.max[1] >= b.min[1] && this.min[2] <= b.max[2] && this.max[2] >= b.min[2]
+        }
+
+        intersects_sphere(sphere) {
+            // intersects_sphere(): Compare the radius to the distance from the closest point in the box.
+            const closest = vec3(0, 0, 0).map((x, i) => Math.max(this.min[i], Math.min(sphere.center[i], this.max[i])));
+            return closest.minus(sphere.center).norm() <= sphere.radius;
+        }
+
+        transformed(m) {
+            // transformed(): The smallest AABB enclosing this box after applying the Mat4 m.  Based on
+            // Jim Arvo's method:  Each output bound collects the smaller (or larger) of the two
+            // products of each matrix entry with the input bounds, rather than transforming 8 corners.
+            const d = m.data, min = vec3(d[12], d[13], d[14]), max = vec3(d[12], d[13], d[14]);
+            for (let i = 0; i < 3; i++)
+                for (let j = 0; j < 3; j++) {
+                    const a = d[4 * j + i] * this.min[j], b = d[4 * j + i] * this.max[j];
+                    min[i] += Math.min(a, b);
+                    max[i] += Math.max(a, b);
+                }
+            return new AABB(min, max);
+        }
+    }
+
+
+const Bounding_Sphere = tiny.Bounding_Sphere =
+    class Bounding_Sphere {
+        // **Bounding_Sphere** stores a "center" (a 3x1 point) and a "radius".
+        constructor(center, radius) {
+            Object.assign(this, {center, radius});
+        }
+
+        static from_points(points) {
+            // from_points(): A quick, loose fit centered on the points' bounding box.
+            const center = AABB.from_points(points).center();
+            return new Bounding_Sphere(center, Math.max(...points.map(p => center.minus(p).norm())));
+        }
+
+        contains_point(p) {
+            return p.minus(this.center).norm() <= this.radius
+        }
+
+        intersects_sphere(b) {
+            return b.center.minus(this.center).norm() <= this.radius + b.radius
+        }
+
+        transformed(m) {
+            // transformed(): Non-uniform scales stretch a sphere into an ellipsoid, so enclose that
+            // ellipsoid by using the largest scale factor of any axis.
+            const d = m.data, largest_scale = Math.sqrt(Math.max(...[0, 1, 2].map(j =>
+                d[4 * j] * d[4 * j] + d[4 * j + 1] * d[4 * j + 1] + d[4 * j + 2] * d[4 * j + 2])));
+            return new Bounding_Sphere(m.times(this.center.to4(1)).to3(), this.radius * largest_scale);
+        }
+    }
+
+
+const Frustum = tiny.Frustum =
+    class Frustum {
+        // **Frustum** is a view volume bounded by six Planes whose normals all point inwards.  Build one
+        // from a camera using Frustum.from_matrix( projection_transform.times( camera_inverse ) ), or the
+        // shortcut Frustum.from_program_state( program_state ).  Use it to skip drawing shapes that are
+        // entirely offscreen ("frustum culling").
+        constructor(planes) {
+            this.planes = planes;
+        }
+
+        static from_matrix(m) {
+            // from_matrix(): The Gribb-Hartmann method.  A point is inside the view volume if its clip
+            // coordinates satisfy -w <= x,y,z <= w.  Each such inequality, written in terms of the
+            // rows of m, is the equation of one bounding plane in world space.
+            const [r0, r1, r2, r3] = [0, 1, 2, 3].map(i => m.row(i));
+            // Plane order is left, right, bottom, top, near, far:
+            return new Frustum([r3.plus(r0), r3.minus(r0), r3.plus(r1), r3.minus(r1), r3.plus(r2), r3.minus(r2)]
+                .map(v => Plane.from_vec4(v)));
+        }
+
+        static from_program_state(program_state) {
+            return Frustum.from_matrix(program_state.projection_transform.times(program_state.camera_inverse));
+        }
+
+        contains_point(p) {
+            return this.planes.every(plane => plane.signed_distance(p) >= 0)
+        }
+
+        intersects_sphere(sphere) {
+            return this.planes.every(plane => plane.signed_distance(sphere.center) >= -sphere.radius)
+        }
+
+        intersects_box(box) {
+            // intersects_box(): For each plane, test the box corner furthest along the plane's
+            // normal.  If even that corner is outside any one plane, the whole box is.  (This test
+            // is conservative; a few boxes near the frustum's corners pass without touching it.)
+            return this.planes.every(plane => plane.signed_distance(vec3(0, 0, 0)
+                .map((x, i) => plane.normal[i] >= 0 ? box.max[i] : box.min[i])) >= 0);
+        }
+    }
+
+
+const Random_Generator = tiny.Random_Generator =
+    class Random_Generator {
+        // **Random_Generator** makes a repeatable stream of pseudo-random numbers from an integer seed,
+        // so that randomized scenes come out the same on every run.  Its random() method matches
+        // Math.random(), so anywhere that takes a generator (like Vector's randomized()) also accepts
+        // Math itself for unrepeatable results.  Uses the "Mulberry32" algorithm, which is small and
+        // fast but not suitable for cryptography.
+        constructor(seed = Date.now()) {
+            this.reset(seed);
+        }
+
+        reset(seed = this.seed) {
+            // reset(): Rewind to the beginning of the stream for the given seed.
+            this.seed = seed;
+            this.state = Math.floor(seed) >>> 0;
+        }
+
+        random() {
+            // random(): Returns a number in [0, 1), advancing the stream.
+            let t = this.state = (this.state + 0x6D2B79F5) >>> 0;
+            t = Math.imul(t ^ t >>> 15, t | 1);
+            t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+            return ((t ^ t >>> 14) >>> 0) / 4294967296;
+        }
+
+        range(low, high) {
+            return low + (high - low) * this.random()
+        }
+
+        integer(n) {
+            // integer(): Returns a whole number from 0 to n-1.
+            return Math.floor(n * this.random())
+        }
+
+        pick(array) {
+            return array[this.integer(array.length)]
+        }
+
+        gaussian(mean = 0, deviation = 1) {
+            // gaussian(): Uses the Box-Muller transform to turn two uniform numbers into a normally
+            // distributed one.
+            const u = 1 - this.random(), v = this.random();
+            return mean + deviation * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        }
+
+        shuffle(array) {
+            // shuffle(): Re-orders the array in place (Fisher-Yates) and returns it.
+            for (let i = array.length - 1; i > 0; i--) {
+                const j = this.integer(i + 1);
+                [array[i], array[j]] = [array[j], array[i]];
+            }
+            return array;
+        }
+    }
+
+
+const Noise = tiny.Noise =
+    class Noise {
+        // **Noise** generates coherent noise:  Random-looking values that vary smoothly through space, for
+        // making terrain, textures, and natural-looking animation.  Each function returns roughly
+        // -1 to 1 for a 2D or 3D input point.  Two Noise objects made from equally seeded
+        // Random_Generators produce identical fields.  Example usage:
+        //  "const noise = new Noise( new Random_Generator( 7 ) );"
+        //  "noise.simplex2( x,y )", "noise.perlin3( x,y,z )", or for more detail at smaller
+        //  scales, "noise.fractal( vec3( x,y,z ), 5 )".
+        constructor(generator = Math) {
+            // Every lattice point looks up its gradient through a shuffled table of 0 to 255,
+            // doubled in length to avoid wrapping indices:
+            const p = [...Array(256).keys()];
+            for (let i = p.length - 1; i > 0; i--) {
+                const j = Math.floor((i + 1) * generator.random());
+                [p[i], p[j]] = [p[j], p[i]];
+            }
+            this.permutation = new Uint8Array(512).map((x, i) => p[i & 255]);
+        }
+
+        static fade(t) {
+            return t * t * t * (t * (t * 6 - 15) + 10)
+        }
+
+        static gradient(hash, x, y, z) {
+            // gradient(): Dot a point with one of the 12 vectors pointing to a cube's edge midpoints.
+            const h = hash & 15, u = h < 8 ? x : y, v = h < 4 ? y : h == 12 || h == 14 ? x : z;
+            return ((h & 1) ? -u : u) + ((h & 2) ? -v : v);
+        }
+
+        perlin3(x, y, z) {
+            // perlin3(): Ken Perlin's "improved noise".  Blend the gradients at the corners of the
+            // surrounding unit cube, weighted by smooth fade curves.
+            const P = this.permutation, lerp = (a, b, t) => a + t * (b - a),
+                X = Math.floor(x) & 255, Y = Math.floor(y) & 255, Z = Math.floor(z) & 255;
+            x -= Math.floor(x);
+            y -= Math.floor(y);
+            z -= Math.floor(z);
+            const u = Noise.fade(x), v = Noise.fade(y), w = Noise.fade(z),
+                A = P[X] + Y, AA = P[A] + Z, AB = P[A + 1] + Z,
+                B = P[X + 1] + Y, BA = P[B] + Z, BB = P[B + 1] + Z, g = Noise.gradient;
+            return lerp(lerp(lerp(g(P[AA], x, y, z), g(P[BA], x - 1, y, z), u),
+                lerp(g(P[AB], x, y - 1, z), g(P[BB], x - 1, y - 1, z), u), v),
+                lerp(lerp(g(P[AA + 1], x, y, z - 1), g(P[BA + 1], x - 1, y, z - 1), u),
+                    lerp(g(P[AB + 1], x, y - 1, z - 1), g(P[BB + 1], x - 1, y - 1, z - 1), u), v), w);
+        }
+
+        perlin2(x, y) {
+            // perlin2(): The z = 0 slice of 3D Perlin noise.
+            return this.perlin3(x, y, 0)
+        }
+
+        simplex2(x, y) {
+            // simplex2(): Stefan Gustavson's simplex noise.  Skew the plane so that it divides into
+            // triangles instead of squares, and sum the smooth falloffs of just three corners.
+            const F = .5 * (Math.sqrt(3) - 1), G = (3 - Math.sqrt(3)) / 6, P = this.permutation,
+                s = (x + y) * F, i = Math.floor(x + s), j = Math.floor(y + s), t = (i + j) * G,
+                x0 = x - i + t, y0 = y - j + t,
+                [i1, j1] = x0 > y0 ? [1, 0] : [0, 1], ii = i & 255, jj = j & 255;
+            const corner = (dx, dy, hash) => {
+                const falloff = .5 - dx * dx - dy * dy;
+                return falloff < 0 ? 0 : falloff ** 4 * Noise.gradient(hash % 12, dx, dy, 0);
+            };
+            return 70 * (corner(x0, y0, P[ii + P[jj]])
+                + corner(x0 - i1 + G, y0 - j1 + G, P[ii + i1 + P[jj + j1]])
+                + corner(x0 - 1 + 2 * G, y0 - 1 + 2 * G, P[ii + 1 + P[jj + 1]]));
+        }
+
+        simplex3(x, y, z) {
+            // simplex3(): Skews space into tetrahedra, and sums four corners.
+            const F = 1 / 3, G = 1 / 6, P = this.permutation,
+                s = (x + y + z) * F, i = Math.floor(x + s), j = Math.floor(y + s), k = Math.floor(z + s),
+                t = (i + j + k) * G, x0 = x - i + t, y0 = y - j + t, z0 = z - k + t;
+            // Find which tetrahedron of the skewed cube we're in by ranking the coordinates.  The
+            // second and third corners are offset from the first by these steps:
+            const [i1, j1, k1, i2, j2, k2] = x0 >= y0 ?
+                (y0 >= z0 ? [1, 0, 0, 1, 1, 0] : x0 >= z0 ? [1, 0, 0, 1, 0, 1] : [0, 0, 1, 1, 0, 1]) :
+                (y0 < z0 ? [0, 0, 1, 0, 1, 1] : x0 < z0 ? [0, 1, 0, 0, 1, 1] : [0, 1, 0, 1, 1, 0]);
+            const ii = i & 255, jj = j & 255, kk = k & 255,
+                hash = (a, b, c) => P[ii + a + P[jj + b + P[kk + c]]];
+            const corner = (dx, dy, dz, h) => {
+                const falloff = .6 - dx * dx - dy * dy - dz * dz;
+                return falloff < 0 ? 0 : falloff ** 4 * Noise.gradient(h % 12, dx, dy, dz);
+            };
+            return 32 * (corner(x0, y0, z0, hash(0, 0, 0))
+                + corner(x0 - i1 + G, y0 - j1 + G, z0 - k1 + G, hash(i1, j1, k1))
+                + corner(x0 - i2 + 2 * G, y0 - j2 + 2 * G, z0 - k2 + 2 * G, hash(i2, j2, k2))
+                + corner(x0 - 1 + 3 * G, y0 - 1 + 3 * G, z0 - 1 + 3 * G, hash(1, 1, 1)));
+        }
+
+        fractal(p, octaves = 4, lacunarity = 2, gain = .5, type = "simplex") {
+            // fractal(): Fractal Brownian motion.  Sum several layers ("octaves") of noise, each with
+            // its frequency multiplied by lacunarity and its amplitude multiplied by gain.  Point p
+            // can be 2D or 3D; type is "simplex" or "perlin".  The result is kept within -1 to 1.
+            const noise = this[type + p.length];
+            let sum = 0, total_amplitude = 0;
+            for (let octave = 0, frequency = 1, amplitude = 1; octave < octaves; octave++) {
+                sum += amplitude * noise.call(this, ...[...p].map(x => x * frequency));
+                total_amplitude += amplitude;
+                frequency *= lacunarity;
+                amplitude *= gain;
+            }
+            return sum / total_amplitude;
+        }
+    }
+
+
+const Curve = tiny.Curve =
+    class Curve {
+        // **Curve** is the base class for smooth paths through space, parameterized by t from 0 to 1.
+        // Subclasses define position( t ), and can define tangent( t ) if they know a formula for it.
+        // Curves can measure their own arc length and find evenly spaced points along it, which is
+        // useful for moving things at constant speed along a path (such as a camera), or for
+        // building surfaces.  Example usage:
+        //  "const path = new Catmull_Rom_Curve( Vector3.cast( [0,0,0], [1,2,0], [3,1,0] ) );"
+        //  "path.position( .5 )" returns a point, and "path.tangent( .5 )" the derivative there.
+        //  "path.length()" returns the total arc length.  "path.resample( 20 )" returns 20 points
+        //               spaced equally along the path.
+        //  "new defs.Grid_Patch( 20, 10, path.sampler( true ), column_operation )" lets the curve
+        //               define the rows of a surface.
+        position(t) {
+            throw "Curve: Subclasses must define position( t )."
+        }
+
+        tangent(t) {
+            // tangent(): The derivative of position with respect to t.  This default approximates it
+            // by central differences.
+            const h = 1E-4, t0 = Math.max(t - h, 0), t1 = Math.min(t + h, 1);
+            return this.position(t1).minus(this.position(t0)).times(1 / (t1 - t0));
+        }
+
+        direction(t) {
+            return this.tangent(t).normalized()
+        }
+
+        points(count) {
+            // points(): Returns count points, evenly spaced in t (though not necessarily in distance).  A
+            // count of one just gives the start of the curve.
+            if (count < 2)
+                return count < 1 ? [] : [this.position(0)];
+            return Array(count).fill(0).map((x, i) => this.position(i / (count - 1)));
+        }
+
+        arc_lengths(samples = 256) {
+            // arc_lengths(): Approximate the curve by a polyline of many short segments, and
+            // store the running total of distance at each sample.  Computed once, then cached.  If
+            // you edit a curve's points after measuring it, delete its "cached_arc_lengths".
+            if (this.cached_arc_lengths && this.cached_arc_lengths.length == samples + 1)
+                return this.cached_arc_lengths;
+            const table = [0];
+            for (let i = 1, previous = this.position(0); i <= samples; i++) {
+                const next = this.position(i / samples);
+                table.push(table[i - 1] + next.minus(previous).norm());
+                previous = next;
+            }
+            return this.cached_arc_lengths = table;
+        }
+
+        length(t = 1) {
+            // length(): The arc length from the start of the curve until t.
+            const table = this.arc_lengths(), samples = table.length - 1,
+                frac = Math.min(Math.max(t, 0), 1) * samples, i = Math.min(Math.floor(frac), samples - 1);
+            return table[i] + (frac - i) * (table[i + 1] - table[i]);
+        }
+
+        t_at_length(distance) {
+            // t_at_length(): The inverse of length().  Binary search the table for the pair of
+            // samples that the distance falls between, then interpolate.
+            const table = this.arc_lengths(), samples = table.length - 1;
+            if (distance <= 0) return 0;
+            if (distance >= table[samples]) return 1;
+            let low = 0, high = samples;
+            while (high - low > 1) {
+                const middle = (low + high) >> 1;
+                if (table[middle] < distance) low = middle;
+                else high = middle;
+            }
+            const span = table[high] - table[low];
+            return (low + (span ? (distance - table[low]) / span : 0)) / samples;
+        }
+
+        resample(count) {
+            // resample(): Returns count points spaced equally by distance along the curve.  A count of one
+            // just gives the start of the curve.
+            if (count < 2)
+                return count < 1 ? [] : [this.position(0)];
+            const total = this.length();
+            return Array(count).fill(0).map((x, i) => this.position(this.t_at_length(total * i / (count - 1))));
+        }
+
+        sampler(by_arc_length = false) {
+            // sampler(): Returns a function from a ratio (0 to 1) to a point on the curve, in the
+            // form that Grid_Patch expects of its row and column callbacks.  With by_arc_length, the
+            // ratio is treated as a fraction of the total distance instead of as t.
+            return by_arc_length ? ratio => this.position(this.t_at_length(ratio * this.length()))
+                : ratio => this.position(ratio);
+        }
+
+        static segment(count, t) {
+            // segment(): (Internal helper function)  For piecewise curves with count segments,
+            // returns which segment global parameter t falls in, and t's local parameter within it.
+            const frac = Math.min(Math.max(t, 0), 1) * count, i = Math.min(Math.floor(frac), count - 1);
+            return [i, frac - i];
+        }
+    }
+
+
+const Bezier_Curve = tiny.Bezier_Curve =
+    class Bezier_Curve extends Curve {
+        // **Bezier_Curve** is a single Bezier curve of any degree.  It starts at the first control
+        // point and ends at the last one, pulled towards the points in between.  Four control points
+        // make a cubic curve.
+        constructor(control_points) {
+            super();
+            this.control_points = control_points;
+        }
+
+        static de_casteljau(points, t) {
+            // de_casteljau(): Repeatedly mix each pair of neighbors until one point is left.
+            while (points.length > 1)
+                points = points.slice(1).map((p, i) => points[i].mix(p, t));
+            return points[0];
+        }
+
+        position(t) {
+            return Bezier_Curve.de_casteljau(this.control_points, t)
+        }
+
+        tangent(t) {
+            // tangent(): The derivative of a Bezier curve is a Bezier curve of one less degree, whose
+            // control points are the differences of the original ones.
+            const p = this.control_points, n = p.length - 1;
+            if (n < 1) return p[0].times(0);
+            return Bezier_Curve.de_casteljau(p.slice(1).map((x, i) => x.minus(p[i]).times(n)), t);
+        }
+    }
+
+
+const Hermite_Curve = tiny.Hermite_Curve =
+    class Hermite_Curve extends Curve {
+        // **Hermite_Curve** passes through each point in a list, arriving at each with the matching
+        // velocity given in a second list.  Each pair of neighboring points is joined by a cubic
+        // segment, and the segments share equal amounts of t.
+        constructor(points, tangents) {
+            super();
+            Object.assign(this, {points_list: points, tangents});
+        }
+
+        static basis(u) {
+            // basis(): The weights of p0, m0, p1, and m1 for a segment at local parameter u.
+            const u2 = u * u, u3 = u2 * u;
+            return [2 * u3 - 3 * u2 + 1, u3 - 2 * u2 + u, -2 * u3 + 3 * u2, u3 - u2];
+        }
+
+        static basis_derivative(u) {
+            const u2 = u * u;
+            return [6 * u2 - 6 * u, 3 * u2 - 4 * u + 1, -6 * u2 + 6 * u, 3 * u2 - 2 * u];
+        }
+
+        blend(t, weights_function) {
+            // blend(): (Internal helper function)  Sum the chosen segment's endpoints and tangents.
+            const p = this.points_list, m = this.tangents, [i, u] = Curve.segment(p.length - 1, t),
+                [a, b, c, d] = weights_function(u);
+            return p[i].times(a).plus(m[i].times(b)).plus(p[i + 1].times(c)).plus(m[i + 1].times(d));
+        }
+
+        position(t) {
+            return this.blend(t, Hermite_Curve.basis)
+        }
+
+        tangent(t) {
+            // tangent(): Since each segment's local parameter runs (count) times faster than t,
+            // scale the derivative by the segment count.
+            return this.blend(t, Hermite_Curve.basis_derivative).times(this.points_list.length - 1);
+        }
+    }
 
-            // Compute vectors along the requested coordinate axes. "y" is the "updated" and orthogonalized local y axis.
-            let z = at.minus(eye).normalized(),
-                x = z.cross(up).normalized(),
-                y = x.cross(z).normalized();
 
-            // Check for NaN, indicating a degenerate cross product, which
-            // happens if eye == at, or if at minus eye is parallel to up.
-            if (!x.every(i => i == i))
-                throw "Two parallel vectors were given";
-            z.scale_by(-1);                               // Enforce right-handed coordinate system.
-            return Mat4.translation(-x.dot(eye), -y.dot(eye), -z.dot(eye))
-                .times(Matrix.of(x.to4(0), y.to4(0), z.to4(0), vec4(0, 0, 0, 1)));
+const Catmull_Rom_Curve = tiny.Catmull_Rom_Curve =
+    class Catmull_Rom_Curve extends Hermite_Curve {
+        // **Catmull_Rom_Curve** passes smoothly through every point in a list, choosing each tangent
+        // to aim from the previous point to the next.  A tension of 0 gives the standard curve, and
+        // a tension of 1 gives straight lines.  A closed curve loops back to its first point, for
+        // paths that repeat.
+        constructor(points, tension = 0, closed = false) {
+            const n = points.length, list = closed ? points.concat([points[0]]) : points,
+                neighbor = i => closed ? points[(i + n) % n] : points[Math.min(Math.max(i, 0), n - 1)],
+                // At the ends of an open curve, aim from the end point itself instead:
+                tangents = list.map((p, i) => neighbor(i + 1).minus(neighbor(i - 1))
+                    .times((1 - tension) / (closed || (i > 0 && i < n - 1) ? 2 : 1)));
+            super(list, tangents);
         }
+    }
 
-        static orthographic(left, right, bottom, top, near, far) {
-            // orthographic(): Box-shaped view volume for projection.
-            return Mat4.scale(vec3(1 / (right - left), 1 / (top - bottom), 1 / (far - near)))
-                .times(Mat4.translation(vec3(-left - right, -top - bottom, -near - far)))
-                .times(Mat4.scale(vec3(2, 2, -2)));
-        }
 
-        static perspective(fov_y, aspect, near, far) {
-            // perspective(): Frustum-shaped view volume for projection.
-            const f = 1 / Math.tan(fov_y / 2), d = far - near;
-            return Matrix.of([f / aspect, 0, 0, 0],
-                [0, f, 0, 0],
-                [0, 0, -(near + far) / d, -2 * near * far / d],
-                [0, 0, -1, 0]);
+const B_Spline_Curve = tiny.B_Spline_Curve =
+    class B_Spline_Curve extends Curve {
+        // **B_Spline_Curve** is a smooth curve pulled towards its control points, without passing
+        // through them (except for the first and last).  Moving one control point only changes a
+        // nearby piece of the curve.  The knots are uniform, and clamped at the ends.
+        constructor(control_points, degree = 3) {
+            super();
+            const p = Math.min(degree, control_points.length - 1), interior = control_points.length - p - 1;
+            this.control_points = control_points;
+            this.degree = p;
+            this.knots = [...Array(p + 1).fill(0), ...Array(interior).fill(0).map((x, i) => (i + 1) / (interior + 1)),
+                ...Array(p + 1).fill(1)];
         }
 
-        static inverse(m) {
-            // inverse(): A 4x4 inverse.  Computing it is slow because of
-            // the amount of steps; call fewer times when possible.
-            const result = Mat4.identity(), m00 = m[0][0], m01 = m[0][1], m02 = m[0][2], m03 = m[0][3],
-                m10 = m[1][0], m11 = m[1][1], m12 = m[1][2], m13 = m[1][3],
-                m20 = m[2][0], m21 = m[2][1], m22 = m[2][2], m23 = m[2][3],
-                m30 = m[3][0], m31 = m[3][1], m32 = m[3][2], m33 = m[3][3];
-            result[0][0] = m12 * m23 * m31 - m13 * m22 * m31 + m13 * m21 * m32 - m11 * m23 * m32 - m12 * m21 * m33 + m11 * m22 * m33;
-            result[0][1] = m03 * m22 * m31 - m02 * m23 * m31 - m03 * m21 * m32 + m01 * m23 * m32 + m02 * m21 * m33 - m01 * m22 * m33;
-            result[0][2] = m02 * m13 * m31 - m03 * m12 * m31 + m03 * m11 * m32 - m01 * m13 * m32 - m02 * m11 * m33 + m01 * m12 * m33;
-            result[0][3] = m03 * m12 * m21 - m02 * m13 * m21 - m03 * m11 * m22 + m01 * m13 * m22 + m02 * m11 * m23 - m01 * m12 * m23;
-            result[1][0] = m13 * m22 * m30 - m12 * m23 * m30 - m13 * m20 * m32 + m10 * m23 * m32 + m12 * m20 * m33 - m10 * m22 * m33;
-            result[1][1] = m02 * m23 * m30 - m03 * m22 * m30 + m03 * m20 * m32 - m00 * m23 * m32 - m02 * m20 * m33 + m00 * m22 * m33;
-            result[1][2] = m03 * m12 * m30 - m02 * m13 * m30 - m03 * m10 * m32 + m00 * m13 * m32 + m02 * m10 * m33 - m00 * m12 * m33;
-            result[1][3] = m02 * m13 * m20 - m03 * m12 * m20 + m03 * m10 * m22 - m00 * m13 * m22 - m02 * m10 * m23 + m00 * m12 * m23;
-            result[2][0] = m11 * m23 * m30 - m13 * m21 * m30 + m13 * m20 * m31 - m10 * m23 * m31 - m11 * m20 * m33 + m10 * m21 * m33;
-            result[2][1] = m03 * m21 * m30 - m01 * m23 * m30 - m03 * m20 * m31 + m00 * m23 * m31 + m01 * m20 * m33 - m00 * m21 * m33;
-            result[2][2] = m01 * m13 * m30 - m03 * m11 * m30 + m03 * m10 * m31 - m00 * m13 * m31 - m01 * m10 * m33 + m00 * m11 * m33;
-            result[2][3] = m03 * m11 * m20 - m01 * m13 * m20 - m03 * m10 * m21 + m00 * m13 * m21 + m01 * m10 * m23 - m00 * m11 * m23;
-            result[3][0] = m12 * m21 * m30 - m11 * m22 * m30 - m12 * m20 * m31 + m10 * m22 * m31 + m11 * m20 * m32 - m10 * m21 * m32;
-            result[3][1] = m01 * m22 * m30 - m02 * m21 * m30 + m02 * m20 * m31 - m00 * m22 * m31 - m01 * m20 * m32 + m00 * m21 * m32;
-            result[3][2] = m02 * m11 * m30 - m01 * m12 * m30 - m02 * m10 * m31 + m00 * m12 * m31 + m01 * m10 * m32 - m00 * m11 * m32;
-            result[3][3] = m01 * m12 * m20 - m02 * m11 * m20 + m02 * m10 * m21 - m00 * m12 * m21 - m01 * m10 * m22 + m00 * m11 * m22;
-            // Divide by determinant and return.
-            return result.times(1 / (m00 * result[0][0] + m10 * result[0][1] + m20 * result[0][2] + m30 * result[0][3]));
+        position(t) {
+            // position(): de Boor's algorithm -- the B-spline version of de Casteljau's, mixing
+            // neighboring control points by ratios of knot spans.
+            const p = this.degree, knots = this.knots;
+            t = Math.min(Math.max(t, 0), 1);
+            let k = p;
+            while (k < this.control_points.length - 1 && knots[k + 1] <= t) k++;
+            const d = this.control_points.slice(k - p, k + 1);
+            for (let r = 1; r <= p; r++)
+                for (let j = p; j >= r; j--) {
+                    const i = j + k - p, alpha = (t - knots[i]) / (knots[i + 1 + p - r] - knots[i]);
+                    d[j] = d[j - 1].mix(d[j], alpha);
+                }
+            return d[p];
         }
     }
 
@@ -754,13 +2278,59 @@ const Graphics_Card_Object = tiny.Graphics_Card_Object =
                     subclass of these) with "new", thus causing the definition to be re-created and re-transmitted every
                     frame. Instead, call these in your scene's constructor and keep the result as a class member, 
                     or otherwise make sure it only happens once.  In the off chance that you have a somehow deformable 
-                    shape that MUST change every frame, then at least use the special arguments of 
-                    copy_onto_graphics_card to limit which buffers get overwritten every frame to only 
-                    the necessary ones.`;
+                    shape that MUST change every frame, don't re-create it either.  Edit its arrays in place and 
+                    call mark_dirty() on it, so that its next draw sends only the changed parts to the GPU.`;
+            }
+            if (existing_instance)
+                return existing_instance;
+            // Otherwise, start a new object associated with the context, and list this object among the
+            // ones on that context, so that they can all be disposed of together:
+            if (!Graphics_Card_Object.registry.has(context))
+                Graphics_Card_Object.registry.set(context, new Set());
+            Graphics_Card_Object.registry.get(context).add(this);
+            return this.gpu_instances.set(context, intial_gpu_representation).get(context);
+        }
+
+        static objects_on(context) {
+            // objects_on(): List every Graphics_Card_Object that has copied itself onto a GPU context.
+            return [...(Graphics_Card_Object.registry.get(context) || [])];
+        }
+
+        dispose(context) {
+            // dispose():  Free the GPU memory this object takes up on one GPU context (either a WebGL context
+            // or a Webgl_Manager), or on every context it's on if none is given.  Otherwise the memory stays
+            // taken until the page closes.  The object is still usable afterwards; using it again on a
+            // context simply copies it over again.
+            if (context instanceof Webgl_Manager)
+                context = context.context;
+            for (let gl of context ? [context] : [...this.gpu_instances.keys()]) {
+                const gpu_instance = this.gpu_instances.get(gl);
+                if (!gpu_instance)
+                    continue;
+                this.free_gpu_instance(gl, gpu_instance);
+                this.gpu_instances.delete(gl);
+                Graphics_Card_Object.registry.get(gl).delete(this);
+                // Freed objects no longer count towards the idiot alarm:
+                Graphics_Card_Object.idiot_alarm--;
+            }
+        }
+
+        static forget_context(context) {
+            // forget_context(): Drop every object's instance on a WebGL context that the browser has lost.
+            // The GPU objects in them are already gone, so there's nothing to delete.  Each object simply
+            // copies itself over again the next time it's used, once the context is restored.
+            for (let object of Graphics_Card_Object.objects_on(context)) {
+                object.gpu_instances.delete(context);
+                // Re-copying these objects is expected, so it shouldn't count towards the idiot alarm:
+                Graphics_Card_Object.idiot_alarm--;
             }
-            // Check if this object already exists on that GPU context.
-            return existing_instance ||             // If necessary, start a new object associated with the context.
-                this.gpu_instances.set(context, intial_gpu_representation).get(context);
+            Graphics_Card_Object.registry.delete(context);
+        }
+
+        free_gpu_instance(context, gpu_instance) {
+            // free_gpu_instance(): Called by dispose() to delete the GPU objects in one of this object's
+            // instances.  GPU-bound objects should override this to delete whatever WebGL objects their
+            // copy_onto_graphics_card() made.
         }
 
         activate(context, ...args) {                            // activate():  To use, super call it to retrieve a container of GPU
@@ -770,6 +2340,9 @@ const Graphics_Card_Object = tiny.Graphics_Card_Object =
         }
     }
 
+// The Graphics_Card_Objects on each WebGL context, for Webgl_Manager's dispose() to find:
+Graphics_Card_Object.registry = new WeakMap();
+
 
 const Vertex_Buffer = tiny.Vertex_Buffer =
     class Vertex_Buffer extends Graphics_Card_Object {
@@ -786,6 +2359,10 @@ const Vertex_Buffer = tiny.Vertex_Buffer =
             [this.arrays, this.indices] = [{}, []];
             // Initialize a blank array member of the Shape with each of the names provided:
             for (let name of array_names) this.arrays[name] = [];
+            // A hint to the GPU of how often the arrays will change; see set_usage().  Whether to pack the
+            // arrays together into one buffer; see set_interleaved().  How the arrays that aren't stored as
+            // floats are stored instead; see set_component_type():
+            [this.usage, this.interleaved, this.component_types] = ["STATIC_DRAW", false, {}];
         }
 
         copy_onto_graphics_card(context, selection_of_arrays = Object.keys(this.arrays), write_to_indices = true) {
@@ -793,43 +2370,334 @@ const Vertex_Buffer = tiny.Vertex_Buffer =
             // one of your GPU contexts for its first time.  Send the completed vertex and index lists to
             // their own buffers within any of your existing graphics card contexts.  Optional arguments
             // allow calling this again to overwrite the GPU buffers related to this shape's arrays, or
-            // subsets of them as needed (if only some fields of your shape have changed).
+            // subsets of them as needed (if only some fields of your shape have changed).  To update a
+            // shape that changes often, it's easier to call mark_dirty() instead.
 
             // Define what this object should store in each new WebGL Context:
-            const initial_gpu_representation = {webGL_buffer_pointers: {}};
+            // The generation counts how many times new buffers were made, and vertex_arrays holds each
+            // Shader variant's VAO for this shape.  Per-instance data for draw_instanced() gets its own buffers, in
+            // instance_buffer_pointers.  The remaining fields track each buffer's length, which parts of
+            // them mark_dirty() says are out of date, and where each array sits in an interleaved buffer.
+            const initial_gpu_representation = {
+                webGL_buffer_pointers: {}, instance_buffer_pointers: {}, generation: 0, vertex_arrays: new Map(),
+                buffer_lengths: {}, dirty_ranges: {}, buffer_layouts: {}
+            };
             // Our object might need to register to multiple GPU contexts in the case of
             // multiple drawing areas.  If this is a new GPU context for this object,
             // copy the object to the GPU.  Otherwise, this object already has been
             // copied over, so get a pointer to the existing instance.
-            const did_exist = this.gpu_instances.get(context);
             const gpu_instance = super.copy_onto_graphics_card(context, initial_gpu_representation);
 
-            const gl = context;
+            // An interleaved buffer holds every array, so it's re-sent as a whole:
+            if (this.interleaved && selection_of_arrays.length)
+                this.send_interleaved(context, gpu_instance);
+            else if (!this.interleaved)
+                for (let name of selection_of_arrays)
+                    this.send_array(context, gpu_instance, name);
+            if (this.indices.length && write_to_indices)
+                this.send_array(context, gpu_instance, "indices");
+            return gpu_instance;
+        }
 
-            const write = did_exist ? (target, data) => gl.bufferSubData(target, 0, data)
-                : (target, data) => gl.bufferData(target, data, gl.STATIC_DRAW);
+        set_usage(usage) {
+            // set_usage(): Tell the GPU how often this shape's arrays will change, so it can keep them in the
+            // right kind of memory:  "STATIC_DRAW" (the default) for shapes that are made once and never
+            // changed, "DYNAMIC_DRAW" for shapes that you edit again and again, or "STREAM_DRAW" for ones
+            // you'll replace about as often as you draw them.  Buffers already on the GPU get re-filled
+            // using the new hint on the next draw.
+            if (!["STATIC_DRAW", "DYNAMIC_DRAW", "STREAM_DRAW"].includes(usage))
+                throw `Vertex_Buffer: Unknown usage "${usage}"; use STATIC_DRAW, DYNAMIC_DRAW, or STREAM_DRAW.`;
+            this.usage = usage;
+            for (let gpu_instance of this.gpu_instances.values())
+                gpu_instance.buffer_lengths = {};
+            for (let name of Object.keys(this.arrays))
+                this.mark_dirty(name);
+            if (this.indices.length)
+                this.mark_dirty("indices");
+            return this;
+        }
 
-            for (let name of selection_of_arrays) {
-                if (!did_exist)
-                    gpu_instance.webGL_buffer_pointers[name] = gl.createBuffer();
-                gl.bindBuffer(gl.ARRAY_BUFFER, gpu_instance.webGL_buffer_pointers[name]);
-                write(gl.ARRAY_BUFFER, Matrix.flatten_2D_to_1D(this.arrays[name]));
+        set_interleaved(interleaved = true) {
+            // set_interleaved(): Choose whether to pack all of this shape's arrays into one buffer, where each
+            // vertex's data (position, normal, etc.) sits side by side, instead of giving each array its own
+            // buffer.  Interleaving keeps each vertex's data together in memory, which suits the GPU's caches
+            // better for large shapes.  Every array must have exactly one entry per vertex.  Shapes already on
+            // the GPU get their buffers re-made in the new layout on the next draw.
+            this.interleaved = interleaved;
+            for (let [gl, gpu_instance] of this.gpu_instances) {
+                for (let buffer of new Set(Object.values(gpu_instance.webGL_buffer_pointers)))
+                    gl.deleteBuffer(buffer);
+                Object.assign(gpu_instance, {webGL_buffer_pointers: {}, buffer_layouts: {}});
+                for (let name of [...Object.keys(this.arrays), "interleaved"])
+                    delete gpu_instance.buffer_lengths[name];
             }
-            if (this.indices.length && write_to_indices) {
-                if (!did_exist)
-                    gpu_instance.index_buffer = gl.createBuffer();
-                gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, gpu_instance.index_buffer);
-                write(gl.ELEMENT_ARRAY_BUFFER, new Uint32Array(this.indices));
+            for (let name of Object.keys(this.arrays))
+                this.mark_dirty(name);
+            return this;
+        }
+
+        set_component_type(name, type = "FLOAT", normalized = false) {
+            // set_component_type(): Choose how the numbers in one of this shape's arrays are stored on the GPU,
+            // instead of as 32-bit floats.  Pass one of "BYTE", "UNSIGNED_BYTE", "SHORT", "UNSIGNED_SHORT",
+            // "INT", "UNSIGNED_INT", or "FLOAT".  Smaller types save memory; for example, per-vertex colors
+            // can be "UNSIGNED_BYTE" with normalized set to true.  Give normalized values as floats from 0 to 1
+            // (or -1 to 1 for signed types), the same way the shader will read them back.  Other values are
+            // rounded off to integers.  An int, ivec, uint, or uvec attribute in a GLSL ES 3.00 shader reads
+            // them as they are, such as for joint indices; float attributes read them converted to floats.
+            // WebGL1 can't read arrays of "INT" or "UNSIGNED_INT".
+            if (!this.arrays[name])
+                throw `Vertex_Buffer: There is no array named "${name}" to set the type of.`;
+            if (!Vertex_Buffer.component_types[type])
+                throw `Vertex_Buffer: Unknown component type "${type}"; use one of ` +
+                Object.keys(Vertex_Buffer.component_types).join(", ") + ".";
+            this.component_types[name] = {type, normalized};
+            // Make sure the next draw re-makes the buffer, rather than overwriting part of it in the old type:
+            for (let gpu_instance of this.gpu_instances.values())
+                delete gpu_instance.buffer_lengths[this.interleaved ? "interleaved" : name];
+            return this.mark_dirty(name);
+        }
+
+        static pack(entries, component_type = {type: "FLOAT", normalized: false}) {
+            // pack(): Flatten a list of numbers or Vectors into a typed array of the given component type.
+            const floats = typeof entries[0] == "number" ? Float32Array.from(entries)
+                : Matrix.flatten_2D_to_1D(entries);
+            const {type, normalized} = component_type, Typed_Array = Vertex_Buffer.component_types[type];
+            if (Typed_Array === Float32Array)
+                return floats;
+            if (!normalized)
+                return Typed_Array.from(floats, x => Math.round(x));
+            // Stretch normalized values out over the whole range of the integer type, clamping any that are
+            // out of range:
+            const signed = ["BYTE", "SHORT", "INT"].includes(type),
+                max = 2 ** (8 * Typed_Array.BYTES_PER_ELEMENT - (signed ? 1 : 0)) - 1;
+            return Typed_Array.from(floats, x => Math.round(Math.min(Math.max(x, signed ? -1 : 0), 1) * max));
+        }
+
+        mark_dirty(name, start = 0, end) {
+            // mark_dirty(): Say that entries start through end - 1 of one of this shape's arrays (or of its
+            // "indices") have changed, so that the next draw() sends just that range to the GPU, on every
+            // context that has this shape.  Leave out the range to send the whole array.  Marking the same
+            // array more than once before a draw sends one range that covers all of them.
+            if (name != "indices" && !this.arrays[name])
+                throw `Vertex_Buffer: There is no array named "${name}" to mark dirty.`;
+            if (end === undefined)
+                end = (name == "indices" ? this.indices : this.arrays[name]).length;
+            for (let gpu_instance of this.gpu_instances.values()) {
+                const range = gpu_instance.dirty_ranges[name];
+                gpu_instance.dirty_ranges[name] = range ? [Math.min(range[0], start), Math.max(range[1], end)]
+                    : [start, end];
             }
-            return gpu_instance;
+            return this;
         }
 
-        execute_shaders(gl, gpu_instance, type)     // execute_shaders(): Draws this shape's entire vertex buffer.
-        {       // Draw shapes using indices if they exist.  Otherwise, assume the vertices are arranged as triples.
+        send_dirty_ranges(gl, gpu_instance) {
+            // (Internal helper function)
+            // Copy the parts of arrays that were marked dirty on this context onto the GPU.  For an
+            // interleaved buffer, send one range of whole vertices that covers every array's dirty range.
+            let interleaved_range;
+            for (let [name, [start, end]] of Object.entries(gpu_instance.dirty_ranges))
+                if (this.interleaved && name != "indices")
+                    interleaved_range = interleaved_range ? [Math.min(interleaved_range[0], start),
+                        Math.max(interleaved_range[1], end)] : [start, end];
+                else this.send_array(gl, gpu_instance, name, start, end);
+            if (interleaved_range)
+                this.send_interleaved(gl, gpu_instance, ...interleaved_range);
+            gpu_instance.dirty_ranges = {};
+        }
+
+        send_interleaved(gl, gpu_instance, start = 0, end) {
+            // (Internal helper function)
+            // Pack vertices start through end - 1 from all of the arrays into the interleaved buffer, at the
+            // matching offset.  Work out the layout first:  How many numbers each array has per vertex, their
+            // type, and how many bytes into a vertex they begin.  If the layout or vertex count has changed,
+            // send everything.
+            const names = Object.keys(this.arrays);
+            if (!names.length)
+                return;
+            const count = this.arrays[names[0]].length, layouts = {};
+            let bytes_per_vertex = 0;
+            for (let name of names) {
+                if (this.arrays[name].length != count)
+                    throw `Vertex_Buffer: To be interleaved, every array needs one entry per vertex, but array "${name}" has ` +
+                    `${this.arrays[name].length} entries instead of ${count}.`;
+                const first = this.arrays[name][0], size = typeof first == "number" ? 1 : first ? first.length : 0,
+                    {type, normalized} = this.component_types[name] || {type: "FLOAT", normalized: false};
+                layouts[name] = {size, type: gl[type], normalized, pointer: bytes_per_vertex};
+                // Start each array on a multiple of four bytes, so that every type is aligned like WebGL requires:
+                bytes_per_vertex += 4 * Math.ceil(size * Vertex_Buffer.component_types[type].BYTES_PER_ELEMENT / 4);
+            }
+            for (let layout of Object.values(layouts))
+                layout.stride = bytes_per_vertex;
+
+            let buffer = gpu_instance.webGL_buffer_pointers[names[0]];
+            const same_layout = JSON.stringify(layouts) == JSON.stringify(gpu_instance.buffer_layouts);
+            if (!buffer || !same_layout) {
+                buffer = buffer || gl.createBuffer();
+                for (let name of names) gpu_instance.webGL_buffer_pointers[name] = buffer;
+                gpu_instance.buffer_layouts = layouts;
+                // New buffer pointers mean any Vertex Array Objects made for this shape must be rebuilt:
+                gpu_instance.generation++;
+            }
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+            const whole = !same_layout || gpu_instance.buffer_lengths.interleaved !== count;
+            if (whole)
+                [start, end] = [0, count];
+            end = Math.min(end === undefined ? count : end, count);
+            if (start >= end && !whole)
+                return;
+            const data = new ArrayBuffer(Math.max(end - start, 0) * bytes_per_vertex);
+            for (let name of names) {
+                // Write each array through a view of the data in its own type:
+                const component_type = this.component_types[name] || {type: "FLOAT", normalized: false},
+                    view = new Vertex_Buffer.component_types[component_type.type](data),
+                    packed = Vertex_Buffer.pack(this.arrays[name].slice(start, end), component_type),
+                    {size, pointer} = layouts[name], step = bytes_per_vertex / view.BYTES_PER_ELEMENT,
+                    first_index = pointer / view.BYTES_PER_ELEMENT;
+                for (let i = 0; i < end - start; i++)
+                    for (let c = 0; c < size; c++)
+                        view[i * step + first_index + c] = packed[i * size + c];
+            }
+            if (whole) {
+                gl.bufferData(gl.ARRAY_BUFFER, data, gl[this.usage]);
+                gpu_instance.buffer_lengths.interleaved = count;
+            } else gl.bufferSubData(gl.ARRAY_BUFFER, start * bytes_per_vertex, data);
+        }
+
+        send_array(gl, gpu_instance, name, start = 0, end) {
+            // (Internal helper function)
+            // Copy entries start through end - 1 of one array (or of "indices") into its GPU buffer, at the
+            // matching offset.  If the array's length has changed since its buffer was filled, or there was
+            // no buffer yet, the whole array gets sent instead.
+            const is_index = name == "indices", list = is_index ? this.indices : this.arrays[name],
+                target = is_index ? gl.ELEMENT_ARRAY_BUFFER : gl.ARRAY_BUFFER,
+                component_type = this.component_types[name] || {type: "FLOAT", normalized: false},
+                pack = entries => is_index ? new Uint32Array(entries) : Vertex_Buffer.pack(entries, component_type);
+            let buffer = is_index ? gpu_instance.index_buffer : gpu_instance.webGL_buffer_pointers[name];
+            if (!buffer) {
+                buffer = gl.createBuffer();
+                if (is_index) gpu_instance.index_buffer = buffer;
+                else gpu_instance.webGL_buffer_pointers[name] = buffer;
+                // A new buffer means any Vertex Array Objects made for this shape must be rebuilt:
+                gpu_instance.generation++;
+            }
+            gl.bindBuffer(target, buffer);
+            if (gpu_instance.buffer_lengths[name] !== list.length) {
+                gl.bufferData(target, pack(list), gl[this.usage]);
+                gpu_instance.buffer_lengths[name] = list.length;
+                if (is_index)
+                    return;
+                // Record the format of the array's data, for the shader to read it by:
+                const first = list[0], layout = {
+                    size: typeof first == "number" ? 1 : first ? first.length : 0,
+                    type: gl[component_type.type], normalized: component_type.normalized
+                };
+                if (JSON.stringify(layout) != JSON.stringify(gpu_instance.buffer_layouts[name])) {
+                    gpu_instance.buffer_layouts[name] = layout;
+                    gpu_instance.generation++;
+                }
+                return;
+            }
+            end = Math.min(end === undefined ? list.length : end, list.length);
+            if (start >= end)
+                return;
+            const data = pack(list.slice(start, end));
+            // Find where the range starts in bytes, from the size of the entries we just packed:
+            gl.bufferSubData(target, start * data.byteLength / (end - start), data);
+        }
+
+        free_gpu_instance(gl, gpu_instance) {
+            // free_gpu_instance(): Delete this shape's buffers, and the Vertex Array Objects that point at them.
+            const vao_api = Shader.vertex_array_api(gl);
+            for (let {vao} of gpu_instance.vertex_arrays.values())
+                vao_api.remove(vao);
+            // An interleaved buffer is listed once per array, so only delete each buffer once:
+            const buffers = new Set([...Object.values(gpu_instance.webGL_buffer_pointers),
+                ...Object.values(gpu_instance.instance_buffer_pointers), gpu_instance.index_buffer]);
+            for (let buffer of buffers)
+                if (buffer) gl.deleteBuffer(buffer);
+        }
+
+        copy_instances_onto_graphics_card(context, gpu_instance, per_instance_arrays) {
+            // copy_instances_onto_graphics_card():  Send lists of per-instance data (one entry per copy of the
+            // shape, rather than per vertex) to their own buffers, which draw_instanced() points the shader at.
+            // These change every frame, so the buffers are simply refilled each call.  Buffers for names that
+            // weren't passed in this time are deleted, so the shader won't read stale data from them.
+            const gl = context, pointers = gpu_instance.instance_buffer_pointers;
+            for (let name of Object.keys(pointers))
+                if (!per_instance_arrays[name]) {
+                    gl.deleteBuffer(pointers[name]);
+                    delete pointers[name];
+                    gpu_instance.generation++;
+                }
+            for (let [name, list] of Object.entries(per_instance_arrays)) {
+                if (!pointers[name]) {
+                    pointers[name] = gl.createBuffer();
+                    // A new buffer means any Vertex Array Objects made for this shape must be rebuilt:
+                    gpu_instance.generation++;
+                }
+                gl.bindBuffer(gl.ARRAY_BUFFER, pointers[name]);
+                gl.bufferData(gl.ARRAY_BUFFER, Matrix.flatten_2D_to_1D(list), gl.DYNAMIC_DRAW);
+            }
+        }
+
+        execute_shaders(gl, gpu_instance, type, instance_count) {
+            // execute_shaders(): Draws this shape's entire vertex buffer, or instance_count copies of it if given.
+            // Draw shapes using indices if they exist.  Otherwise, assume the vertices are arranged as triples.
+            const instancing = instance_count !== undefined && Vertex_Buffer.instancing_api(gl);
             if (this.indices.length) {
                 gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, gpu_instance.index_buffer);
-                gl.drawElements(gl[type], this.indices.length, gl.UNSIGNED_INT, 0)
-            } else gl.drawArrays(gl[type], 0, Object.values(this.arrays)[0].length);
+                if (instancing)
+                    instancing.draw_elements(gl[type], this.indices.length, gl.UNSIGNED_INT, 0, instance_count);
+                else gl.drawElements(gl[type], this.indices.length, gl.UNSIGNED_INT, 0)
+            } else if (instancing)
+                instancing.draw_arrays(gl[type], 0, Object.values(this.arrays)[0].length, instance_count);
+            else gl.drawArrays(gl[type], 0, Object.values(this.arrays)[0].length);
+        }
+
+        static instancing_api(gl) {
+            // instancing_api(): Returns functions for drawing many instances of a shape at once on context gl,
+            // or null if it can't.  Instancing is built into WebGL2, and WebGL1 offers it through the
+            // ANGLE_instanced_arrays extension.  Looked up only once per context.
+            if (Vertex_Buffer.instancing_apis.has(gl))
+                return Vertex_Buffer.instancing_apis.get(gl);
+            let api = null;
+            if (Webgl_Manager.webgl_version(gl) == 2)
+                api = {
+                    divisor: (index, divisor) => gl.vertexAttribDivisor(index, divisor),
+                    draw_arrays: (...args) => gl.drawArraysInstanced(...args),
+                    draw_elements: (...args) => gl.drawElementsInstanced(...args)
+                };
+            else {
+                const ext = gl.getExtension("ANGLE_instanced_arrays");
+                if (ext)
+                    api = {
+                        divisor: (index, divisor) => ext.vertexAttribDivisorANGLE(index, divisor),
+                        draw_arrays: (...args) => ext.drawArraysInstancedANGLE(...args),
+                        draw_elements: (...args) => ext.drawElementsInstancedANGLE(...args)
+                    };
+            }
+            Vertex_Buffer.instancing_apis.set(gl, api);
+            return api;
+        }
+
+        use_shader(webgl_manager, gpu_instance, program_state, model_transform, material) {
+            // use_shader(): Activate the Material's Shader to draw this shape with.  If the Shader's GLSL code
+            // has errors, the Webgl_Manager shows them over the canvas, and we return false so that just this
+            // draw is skipped; the rest of the scene keeps animating while you fix the code.
+            let variant;
+            try {
+                variant = material.shader.activate(webgl_manager.context, gpu_instance, program_state, model_transform,
+                    material);
+            } catch (error) {
+                if (!(error instanceof Shader_Error))
+                    throw error;
+                webgl_manager.show_shader_error(material.shader, error);
+                return false;
+            }
+            // Once a Shader works again, take down its old errors:
+            if (webgl_manager.shader_errors.has(material.shader))
+                webgl_manager.clear_shader_error(material.shader, variant.defines);
+            return true;
         }
 
         draw(webgl_manager, program_state, model_transform, material, type = "TRIANGLES") {
@@ -837,12 +2705,53 @@ const Vertex_Buffer = tiny.Vertex_Buffer =
             // which executes the shader programs.  The shaders draw the right shape due to
             // pre-selecting the correct buffer region in the GPU that holds that shape's data.
             const gpu_instance = this.activate(webgl_manager.context);
-            material.shader.activate(webgl_manager.context, gpu_instance.webGL_buffer_pointers, program_state, model_transform, material);
+            this.send_dirty_ranges(webgl_manager.context, gpu_instance);
+            if (!this.use_shader(webgl_manager, gpu_instance, program_state, model_transform, material))
+                return;
+            webgl_manager.apply_render_state(material.render_state);
             // Run the shaders to draw every triangle now:
             this.execute_shaders(webgl_manager.context, gpu_instance, type);
+            // Un-bind the shape's Vertex Array Object (if the Shader used one), so that buffer
+            // uploads before the next draw can't accidentally change it:
+            const vao_api = Shader.vertex_array_api(webgl_manager.context);
+            if (vao_api) vao_api.bind(null);
+        }
+
+        draw_instanced(webgl_manager, program_state, transforms, material, per_instance_attributes = {},
+                       type = "TRIANGLES") {
+            // draw_instanced():  Like draw(), but draws one copy of the shape for each matrix in the list
+            // "transforms", all within a single draw call.  The Shader must read "model_transform" as a
+            // per-instance attribute, as the versions of Phong_Shader made by make_instanced_version() do.
+            // Optionally pass more lists of per-instance data in per_instance_attributes, keyed by the
+            // shader attribute names they fill in, such as {instance_color: [color(1, 0, 0, 1), ...]}.
+            // Each list must have one entry per transform.
+            const gl = webgl_manager.context;
+            if (!Vertex_Buffer.instancing_api(gl))
+                throw "draw_instanced() needs WebGL2 or the ANGLE_instanced_arrays extension, which this browser lacks.";
+            if (!transforms.length)
+                return;
+            const gpu_instance = this.activate(gl);
+            this.send_dirty_ranges(gl, gpu_instance);
+            this.copy_instances_onto_graphics_card(gl, gpu_instance,
+                {...per_instance_attributes, model_transform: transforms});
+            // Each instance's own matrix is applied in the shader, so the shared model transform is identity:
+            if (!this.use_shader(webgl_manager, gpu_instance, program_state, Mat4.identity(), material))
+                return;
+            webgl_manager.apply_render_state(material.render_state);
+            this.execute_shaders(gl, gpu_instance, type, transforms.length);
+            const vao_api = Shader.vertex_array_api(gl);
+            if (vao_api) vao_api.bind(null);
         }
     }
 
+// Instanced drawing functions for each WebGL context, looked up by Vertex_Buffer.instancing_api():
+Vertex_Buffer.instancing_apis = new WeakMap();
+// The kinds of numbers that set_component_type() can store an array as, and the typed arrays that hold them:
+Vertex_Buffer.component_types = {
+    BYTE: Int8Array, UNSIGNED_BYTE: Uint8Array, SHORT: Int16Array, UNSIGNED_SHORT: Uint16Array,
+    INT: Int32Array, UNSIGNED_INT: Uint32Array, FLOAT: Float32Array
+};
+
 
 const Shape = tiny.Shape =
     class Shape extends Vertex_Buffer {
@@ -887,9 +2796,10 @@ const Shape = tiny.Shape =
                 if (a == "position" || a == "tangents")
                     recipient.arrays[a].push(...temp_shape.arrays[a].map(p => points_transform.times(p.to4(1)).to3()));
                 // Do the same for normals, but use the inverse transpose matrix as math requires:
-                else if (a == "normal")
-                    recipient.arrays[a].push(...temp_shape.arrays[a].map(n =>
-                        Mat4.inverse(points_transform.transposed()).times(n.to4(1)).to3()));
+                else if (a == "normal") {
+                    const normals_transform = Mat4.inverse(points_transform.transposed());
+                    recipient.arrays[a].push(...temp_shape.arrays[a].map(n => normals_transform.times(n.to4(1)).to3()));
+                }
                 // All other arrays get copied in unmodified:
                 else recipient.arrays[a].push(...temp_shape.arrays[a]);
             }
@@ -970,6 +2880,14 @@ const Light = tiny.Light =
         constructor(position, color, size) {
             Object.assign(this, {position, color, attenuation: 1 / size});
         }
+
+        to_json() {
+            return {class: "Light", values: to_json({...this})}
+        }
+
+        static from_json(data, registry) {
+            return Object.assign(Object.create(Light.prototype), from_json(data.values, registry))
+        }
     }
 
 
@@ -980,26 +2898,52 @@ const Graphics_Addresses = tiny.Graphics_Addresses =
         // the memory addresses it will use for uniform variables, and the types and indices of its per-
         // vertex attributes.  We'll need those for building vertex buffers.
         constructor(program, gl) {
+            this.shader_uniforms = {};
+            // The GLSL types of samplers, which read from textures:
+            const sampler_types = [0x8B5E, 0x8B5F, 0x8B60, 0x8B62, 0x8DC1, 0x8DC4, 0x8DC5, 0x8DCA, 0x8DCB, 0x8DCC,
+                0x8DCF, 0x8DD2, 0x8DD3, 0x8DD4, 0x8DD7];
             const num_uniforms = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
             for (let i = 0; i < num_uniforms; ++i) {
                 // Retrieve the GPU addresses of each uniform variable in the shader
                 // based on their names, and store these pointers for later.
-                let u = gl.getActiveUniform(program, i).name.split('[')[0];
+                const uniformInfo = gl.getActiveUniform(program, i), u = uniformInfo.name.split('[')[0];
                 this[u] = gl.getUniformLocation(program, u);
+                // Also keep each one's GLSL type and array length, for sending values automatically:
+                this.shader_uniforms[u] = {
+                    location: this[u], type: uniformInfo.type, size: uniformInfo.size,
+                    sampler: sampler_types.includes(uniformInfo.type)
+                };
             }
 
             this.shader_attributes = {};
-            // Assume per-vertex attributes will each be a set of 1 to 4 floats:
-            const type_to_size_mapping = {0x1406: 1, 0x8B50: 2, 0x8B51: 3, 0x8B52: 4};
+            // For each GLSL type an attribute can have, look up how many numbers it reads from each slot
+            // (location), and how many slots it takes up.  Matrices take up one slot per column.  Integer
+            // types (GLSL ES 3.00 only) are marked, since they're read without converting to floats:
+            const attribute_types = {
+                0x1406: [1, 1], 0x8B50: [2, 1], 0x8B51: [3, 1], 0x8B52: [4, 1],           // float, vec2-4
+                0x1404: [1, 1, "INT"], 0x8B53: [2, 1, "INT"], 0x8B54: [3, 1, "INT"],      // int, ivec2-4
+                0x8B55: [4, 1, "INT"],
+                0x1405: [1, 1, "UNSIGNED_INT"], 0x8DC6: [2, 1, "UNSIGNED_INT"],           // uint, uvec2-4
+                0x8DC7: [3, 1, "UNSIGNED_INT"], 0x8DC8: [4, 1, "UNSIGNED_INT"],
+                0x8B5A: [2, 2], 0x8B5B: [3, 3], 0x8B5C: [4, 4],                           // mat2-4
+                0x8B65: [3, 2], 0x8B66: [4, 2], 0x8B67: [2, 3],                           // mat2x3, mat2x4, mat3x2
+                0x8B68: [4, 3], 0x8B69: [2, 4], 0x8B6A: [3, 4]                            // mat3x4, mat4x2, mat4x3
+            };
             const numAttribs = gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES);
             for (let i = 0; i < numAttribs; i++) {
                 // https://github.com/greggman/twgl.js/blob/master/dist/twgl-full.js for another example:
                 const attribInfo = gl.getActiveAttrib(program, i);
-                // Pointers to all shader attribute variables:
+                if (!attribute_types[attribInfo.type])
+                    throw `Graphics_Addresses: Shader attribute "${attribInfo.name}" has a type (0x` +
+                    attribInfo.type.toString(16) + ") that can't be read from a buffer.";
+                const [size, slots, integer_type] = attribute_types[attribInfo.type];
+                // Pointers to all shader attribute variables.  By default, expect a tightly packed buffer
+                // of floats (or of integers, for integer types).  Shapes describe their actual buffers'
+                // formats when they're drawn, which take priority:
                 this.shader_attributes[attribInfo.name] = {
                     index: gl.getAttribLocation(program, attribInfo.name),
-                    size: type_to_size_mapping[attribInfo.type],
-                    enabled: true, type: gl.FLOAT,
+                    size, slots, integer: !!integer_type,
+                    enabled: true, type: gl[integer_type || "FLOAT"],
                     normalized: false, stride: 0, pointer: 0
                 };
             }
@@ -1007,6 +2951,43 @@ const Graphics_Addresses = tiny.Graphics_Addresses =
     }
 
 
+// **to_json** and **from_json** convert between this library's objects and plain data that JSON.stringify()
+// and JSON.parse() can handle, so that camera poses, tuned Materials, or whole lighting setups can be saved
+// to files and loaded back.  Objects that can save themselves have a to_json() method, which tags their data
+// with their class name.  from_json() looks that name up in "registry" (by default, tiny) to find the
+// class's static from_json().  Shaders are usually defined elsewhere, so to load Materials, pass in a
+// registry that includes your Shader classes too, such as {...tiny, ...defs}.  Values of any other
+// classes, and functions, are left out.  Example usage:
+//  "const text = JSON.stringify( to_json( material ) );"
+//  "const material = from_json( JSON.parse( text ), {...tiny, ...defs} );"
+const to_json = tiny.to_json = value => {
+    if (value === null || value === undefined)
+        return value;
+    if (value.to_json)
+        return value.to_json();
+    if (Array.isArray(value))
+        return value.map(to_json);
+    if (value.constructor === Object)
+        return Object.fromEntries(Object.entries(value).map(([key, x]) => [key, to_json(x)])
+            .filter(([key, x]) => x !== undefined));
+    return typeof value === "object" || typeof value === "function" ? undefined : value;
+};
+
+const from_json = tiny.from_json = (data, registry = tiny) => {
+    if (Array.isArray(data))
+        return data.map(x => from_json(x, registry));
+    if (!data || typeof data !== "object")
+        return data;
+    if (data.class === undefined)
+        return Object.fromEntries(Object.entries(data).map(([key, x]) => [key, from_json(x, registry)]));
+    const type = registry[data.class];
+    if (!type || !type.from_json)
+        throw "from_json: Class \"" + data.class + "\" wasn't found in the registry.  Try passing in one " +
+        "that includes it, such as {...tiny, ...defs}.";
+    return type.from_json(data, registry);
+};
+
+
 const Container = tiny.Container =
     class Container {
         // **Container** allows a way to create patch JavaScript objects within a single line.  Some properties get
@@ -1036,6 +3017,16 @@ const Container = tiny.Container =
             if (!matching_keys_by_type[0]) throw "Container: Can't figure out which value you're trying to replace; nothing matched by type.";
             return Object.assign(target, {[matching_keys_by_type[0][0]]: replacement});
         }
+
+        to_json() {
+            // to_json(): Save every value in the Container that to_json() knows how to convert.
+            return {class: this.constructor.name, values: to_json({...this})}
+        }
+
+        static from_json(data, registry) {
+            // from_json(): Like override(), this skips the constructor and fills in the saved values.
+            return Object.assign(Object.create(this.prototype), from_json(data.values, registry))
+        }
     }
 
 
@@ -1044,7 +3035,9 @@ const Material = tiny.Material =
         // **Material** contains messages for a shader program.  These configure the shader
         // for the particular color and style of one shape being drawn.  A material consists
         // of a pointer to the particular Shader it uses (to select that Shader for the draw
-        // command), as well as a collection of any options wanted by the shader.
+        // command), as well as a collection of any options wanted by the shader.  Option
+        // "render_state" also sets how the shape mixes into the canvas, such as its blending and
+        // culling; see Webgl_Manager's apply_render_state().
         constructor(shader, options) {
             super();
             Object.assign(this, {shader}, options);
@@ -1052,6 +3045,70 @@ const Material = tiny.Material =
     }
 
 
+const Shader_Error = tiny.Shader_Error =
+    class Shader_Error extends Error {
+        // **Shader_Error** is thrown when the graphics card can't compile or link a Shader's GLSL code.  It
+        // names the Shader subclass and the stage that failed ("vertex", "fragment", "link", or "attributes"),
+        // keeps the driver's raw log and the #defines it was compiled with, and breaks that log down into
+        // "problems":  A list of {line, column, message, excerpt}, where excerpt shows the offending line of
+        // the GLSL source among its neighbors.  Drivers word their logs differently, so line and column are
+        // undefined when they can't be found.
+        constructor(shader, stage, log, source, defines = {}) {
+            let shader_class = shader.constructor;
+            // Classes made on the fly (such as by make_instanced_version()) are nameless; use their parent's:
+            while (shader_class && !shader_class.name) shader_class = Object.getPrototypeOf(shader_class);
+            const shader_name = shader_class ? shader_class.name : "Shader",
+                problems = Shader_Error.parse_log(log || "", source);
+            // Name the variant too (see Shader's glsl_defines()), if there are defines:
+            const variant = Shader.variant_key(defines), name = shader_name + (variant ? ` (${variant})` : "");
+            const heading = stage == "link" ? `${name}: The shader program failed to link.`
+                          : stage == "attributes" ? `${name}: The shape's arrays don't fit the shader's attributes.`
+                                                  : `${name}: The ${stage} shader failed to compile.`;
+            super([heading, ...problems.map(p => (p.line ? `Line ${p.line}` + (p.column ? `, column ${p.column}` : "")
+                                                        + ": " : "") + p.message + (p.excerpt ? "\n" + p.excerpt : ""))]
+                .join("\n\n"));
+            Object.assign(this, {name: "Shader_Error", shader_name, stage, log, source, defines, problems});
+        }
+
+        static parse_log(log, source) {
+            // parse_log(): Break a driver's info log into a list of problems.  Recognizes the formats
+            // "ERROR: 0:12: message" (most browsers), "0:12(5): error: message" (Mesa), and
+            // "0(12) : error C0000: message" (NVIDIA).
+            const formats = [/^(?:ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/i,
+                /^\d+:(\d+)\((\d+)\):\s*(?:error|warning):?\s*(.*)$/i,
+                /^\d+\((\d+)\)\s*:\s*(?:error|warning)\s*\w*:\s*(.*)$/i];
+            const problems = [];
+            for (let text of log.split("\n").map(l => l.trim()).filter(l => l && l != "\0")) {
+                const match = formats.map(f => text.match(f)).find(m => m);
+                if (!match)
+                    problems.push({message: text});
+                else {
+                    const line = +match[1], column = match.length == 4 ? +match[2] : undefined;
+                    problems.push({line, column, message: match[match.length - 1],
+                        excerpt: source && Shader_Error.excerpt(source, line, column)});
+                }
+            }
+            return problems;
+        }
+
+        static excerpt(source, line, column, context = 2) {
+            // excerpt(): Show a line of source code with "context" lines on each side, each numbered, with
+            // the offending line marked by ">" (and its column by "^", if known).
+            const lines = source.split("\n"), first = Math.max(1, line - context),
+                last = Math.min(lines.length, line + context), width = String(last).length;
+            if (line < 1 || line > lines.length)
+                return undefined;
+            const result = [];
+            for (let i = first; i <= last; i++) {
+                result.push((i == line ? "> " : "  ") + String(i).padStart(width) + " | " + lines[i - 1]);
+                if (i == line && column)
+                    result.push("  " + " ".repeat(width) + " | " + " ".repeat(column - 1) + "^");
+            }
+            return result.join("\n");
+        }
+    }
+
+
 const Shader = tiny.Shader =
     class Shader extends Graphics_Card_Object {
         // **Shader** loads a GLSL shader program onto your graphics card, starting from a JavaScript string.
@@ -1064,93 +3121,426 @@ const Shader = tiny.Shader =
         // program with all the data values it is expecting, such as matrices.  The shader pulls these values
         // from two places in your JavaScript:  A Material object, for values pertaining to the current shape
         // only, and a Program_State object, for values pertaining to your entire Scene or program.
-        copy_onto_graphics_card(context) {
+        copy_onto_graphics_card(context, defines = {}) {
             // copy_onto_graphics_card():  Called automatically as needed to load the
-            // shader program onto one of your GPU contexts for its first time.
+            // shader program onto one of your GPU contexts for its first time.  Each
+            // different set of #defines (see glsl_defines()) makes a different program,
+            // which we call a variant; this compiles the variant for "defines".
 
             // Define what this object should store in each new WebGL Context:
-            const initial_gpu_representation = {
-                program: undefined, gpu_addresses: undefined,
-                vertShdr: undefined, fragShdr: undefined
-            };
+            const initial_gpu_representation = {variants: new Map()};
             // Our object might need to register to multiple GPU contexts in the case of
             // multiple drawing areas.  If this is a new GPU context for this object,
             // copy the object to the GPU.  Otherwise, this object already has been
             // copied over, so get a pointer to the existing instance.
             const gpu_instance = super.copy_onto_graphics_card(context, initial_gpu_representation);
+            const key = Shader.variant_key(defines);
+            if (!gpu_instance.variants.has(key))
+                gpu_instance.variants.set(key, {
+                    defines, program: undefined, gpu_addresses: undefined,
+                    vertShdr: undefined, fragShdr: undefined, generation: 0
+                });
+            const variant = gpu_instance.variants.get(key);
+
+            // Build the program from scratch each time.  Calling this again (such as through set_glsl_code())
+            // recompiles it, but if the new code fails, whatever program last worked keeps drawing instead.
+            const gl = context, created = {};
+            const fail = error => {
+                if (variant.program && !variant.error)
+                    Shader.delete_program(gl, created);
+                else {
+                    // With no working program to fall back on, remember the failure, so that activate()
+                    // doesn't try compiling the same code every frame.  Keep any GPU objects for dispose():
+                    Shader.delete_program(gl, variant);
+                    Object.assign(variant, {program: undefined, vertShdr: undefined, fragShdr: undefined},
+                        created, {error});
+                }
+                throw error;
+            };
+            // Finish the GLSL source before making any GPU objects, so that errors found here can't leak them:
+            const code = this.current_glsl_code();
+            let vertex_code, fragment_code;
+            try {
+                vertex_code = this.preprocess(this.prepare_glsl_code(gl, code.vertex, "vertex", defines), defines,
+                    "vertex");
+                fragment_code = this.preprocess(this.prepare_glsl_code(gl, code.fragment, "fragment", defines), defines,
+                    "fragment");
+            } catch (error) {
+                fail(error);
+            }
+            const program = created.program = gl.createProgram(),
+                vertShdr = created.vertShdr = gl.createShader(gl.VERTEX_SHADER),
+                fragShdr = created.fragShdr = gl.createShader(gl.FRAGMENT_SHADER);
 
-            const gl = context;
-            const program = gpu_instance.program || context.createProgram();
-            const vertShdr = gpu_instance.vertShdr || gl.createShader(gl.VERTEX_SHADER);
-            const fragShdr = gpu_instance.fragShdr || gl.createShader(gl.FRAGMENT_SHADER);
-
-            if (gpu_instance.vertShdr) gl.detachShader(program, vertShdr);
-            if (gpu_instance.fragShdr) gl.detachShader(program, fragShdr);
-
-            gl.shaderSource(vertShdr, this.vertex_glsl_code());
+            gl.shaderSource(vertShdr, vertex_code);
             gl.compileShader(vertShdr);
             if (!gl.getShaderParameter(vertShdr, gl.COMPILE_STATUS))
-                throw "Vertex shader compile error: " + gl.getShaderInfoLog(vertShdr);
+                fail(new Shader_Error(this, "vertex", gl.getShaderInfoLog(vertShdr), vertex_code, defines));
 
-            gl.shaderSource(fragShdr, this.fragment_glsl_code());
+            gl.shaderSource(fragShdr, fragment_code);
             gl.compileShader(fragShdr);
             if (!gl.getShaderParameter(fragShdr, gl.COMPILE_STATUS))
-                throw "Fragment shader compile error: " + gl.getShaderInfoLog(fragShdr);
+                fail(new Shader_Error(this, "fragment", gl.getShaderInfoLog(fragShdr), fragment_code, defines));
 
             gl.attachShader(program, vertShdr);
             gl.attachShader(program, fragShdr);
             gl.linkProgram(program);
             if (!gl.getProgramParameter(program, gl.LINK_STATUS))
-                throw "Shader linker error: " + gl.getProgramInfoLog(this.program);
+                fail(new Shader_Error(this, "link", gl.getProgramInfoLog(program), undefined, defines));
+
+            // Swap in the new program.  Uniforms get sent to it as usual on the next draw.
+            Shader.delete_program(gl, variant);
+            Object.assign(variant, {program, vertShdr, fragShdr, error: undefined});
+            variant.gpu_addresses = new Graphics_Addresses(program, gl);
+            // Count re-compilations, so that Vertex Array Objects made for the old program get replaced:
+            variant.generation++;
+            return variant;
+        }
+
+        free_gpu_instance(gl, gpu_instance) {
+            // free_gpu_instance(): Delete the shader program of every variant, and any Vertex Array Objects
+            // that shapes on the same context made for them.
+            const vao_api = Shader.vertex_array_api(gl);
+            for (let variant of gpu_instance.variants.values()) {
+                for (let object of Graphics_Card_Object.objects_on(gl)) {
+                    const vertex_arrays = object instanceof Vertex_Buffer && object.gpu_instances.get(gl).vertex_arrays;
+                    if (!vertex_arrays || !vertex_arrays.has(variant))
+                        continue;
+                    vao_api.remove(vertex_arrays.get(variant).vao);
+                    vertex_arrays.delete(variant);
+                }
+                Shader.delete_program(gl, variant);
+            }
+        }
+
+        static delete_program(gl, {program, vertShdr, fragShdr}) {
+            // delete_program(): Delete a program and its two shaders from the GPU, if they were made.
+            if (!program)
+                return;
+            gl.deleteProgram(program);
+            gl.deleteShader(vertShdr);
+            gl.deleteShader(fragShdr);
+        }
 
-            Object.assign(gpu_instance, {
-                program,
-                vertShdr,
-                fragShdr,
-                gpu_addresses: new Graphics_Addresses(program, gl)
+        current_glsl_code() {
+            // current_glsl_code(): The GLSL code this Shader is running:  Whatever was last passed to
+            // set_glsl_code(), or else what vertex_glsl_code() and fragment_glsl_code() return.
+            return this.edited_glsl_code || {vertex: this.vertex_glsl_code(), fragment: this.fragment_glsl_code()};
+        }
+
+        set_glsl_code(vertex, fragment) {
+            // set_glsl_code(): Replace this Shader's GLSL code while it's running, such as from a
+            // Shader_Editor_Widget, and recompile it on every context that it's been copied onto.  Wherever
+            // the new code fails, the last program that worked keeps drawing.  Returns the Shader_Errors
+            // found, so an empty list means success.  Pass nothing to go back to the class's own code.
+            // If the new code fails everywhere, the old code stays current too, so that variants compiled
+            // later (for new sets of #defines) still get code that works.
+            const previous_code = this.edited_glsl_code, errors = [];
+            this.edited_glsl_code = vertex === undefined ? undefined : {vertex, fragment};
+            let successes = 0;
+            try {
+                for (let [context, gpu_instance] of this.gpu_instances)
+                    for (let variant of gpu_instance.variants.values())
+                        try {
+                            this.copy_onto_graphics_card(context, variant.defines);
+                            successes++;
+                        } catch (error) {
+                            if (!(error instanceof Shader_Error))
+                                throw error;
+                            errors.push(error);
+                        }
+            } catch (error) {
+                this.edited_glsl_code = previous_code;
+                throw error;
+            }
+            if (errors.length && !successes)
+                this.edited_glsl_code = previous_code;
+            return errors;
+        }
+
+        glsl_defines(program_state, material) {
+            // glsl_defines(): The #defines to compile this Shader's code with for one draw, as an object of
+            // names and values.  A value of true defines the name as 1, and false leaves it undefined.
+            // Each different set gets its own compiled program (a variant), so that one Shader class can
+            // serve many combinations of features selected with #ifdef.  By default this is just the
+            // Material's "defines" field.  Override this to add your own, such as from constructor options.
+            return material && material.defines || {};
+        }
+
+        static variant_key(defines) {
+            // variant_key(): Sum up a set of defines as a string, so that equal sets can find the same variant.
+            return Object.keys(defines).filter(name => defines[name] !== false && defines[name] !== undefined)
+                .sort().map(name => name + "=" + defines[name]).join(" ");
+        }
+
+        preprocess(code, defines = {}, stage = "vertex") {
+            // preprocess(): Expand each line like "#include <name>" into the GLSL chunk of that name in
+            // Shader.chunks (chunks can include other chunks), and then add a "#define" line for each of the
+            // defines.  These go after the "#version" line, if there is one, since it must come first.  A
+            // missing or self-including chunk throws a Shader_Error for the given stage.
+            const expand = (text, including) => text.replace(/^[ \t]*#include\s*[<"](\w+)[>"].*$/gm, (line, name) => {
+                if (!(name in Shader.chunks))
+                    throw new Shader_Error(this, stage, `The GLSL code includes a chunk named "${name}", but ` +
+                        `Shader.chunks has none.`, undefined, defines);
+                if (including.includes(name))
+                    throw new Shader_Error(this, stage, `GLSL chunk "${name}" includes itself (through ` +
+                        `${including.join(", ")}).`, undefined, defines);
+                return expand(Shader.chunks[name], [...including, name]);
             });
-            return gpu_instance;
+            code = expand(code, []);
+            const lines = Object.keys(defines).filter(name => defines[name] !== false && defines[name] !== undefined)
+                .map(name => `#define ${name} ` + (defines[name] === true ? 1 : defines[name]));
+            if (!lines.length)
+                return code;
+            const version = code.match(/^#version .*\n/);
+            return version ? version[0] + lines.join("\n") + "\n" + code.slice(version[0].length)
+                           : lines.join("\n") + "\n" + code;
         }
 
-        activate(context, buffer_pointers, program_state, model_transform, material) {
-            // activate(): Selects this Shader in GPU memory so the next shape draws using it.
-            const gpu_instance = super.activate(context);
+        prepare_glsl_code(gl, code, stage = "vertex", defines = {}) {
+            // prepare_glsl_code(): Shaders written in GLSL ES 3.00 must start with "#version 300 es" as
+            // their very first line, so remove any whitespace left in front of it by template strings.
+            // Only WebGL2 contexts can compile these; on WebGL1 this throws a Shader_Error for the given stage.
+            if (!/^\s*#version 300 es/.test(code))
+                return code;
+            if (Webgl_Manager.webgl_version(gl) < 2)
+                throw new Shader_Error(this, stage, "This code is written in GLSL ES 3.00 (#version 300 es), which " +
+                    "needs a WebGL2 context, but this canvas only has WebGL1.  Request WebGL2 with the option " +
+                    "{webgl2: true}, or write the shader in GLSL ES 1.00 instead.", undefined, defines);
+            return code.trimStart();
+        }
+
+        static vertex_array_api(gl) {
+            // vertex_array_api(): Returns functions to create, bind, and remove Vertex Array Objects on
+            // context gl, or null if it can't make them.  VAOs are built into WebGL2, and most WebGL1
+            // browsers offer them through an extension.  Looked up only once per context.
+            if (Shader.vertex_array_apis.has(gl))
+                return Shader.vertex_array_apis.get(gl);
+            let api = null;
+            if (Webgl_Manager.webgl_version(gl) == 2)
+                api = {
+                    create: () => gl.createVertexArray(), bind: vao => gl.bindVertexArray(vao),
+                    remove: vao => gl.deleteVertexArray(vao)
+                };
+            else {
+                const ext = gl.getExtension("OES_vertex_array_object");
+                if (ext)
+                    api = {
+                        create: () => ext.createVertexArrayOES(), bind: vao => ext.bindVertexArrayOES(vao),
+                        remove: vao => ext.deleteVertexArrayOES(vao)
+                    };
+            }
+            Shader.vertex_array_apis.set(gl, api);
+            return api;
+        }
 
-            context.useProgram(gpu_instance.program);
+        activate(context, buffer_instance, program_state, model_transform, material) {
+            // activate(): Selects this Shader in GPU memory so the next shape draws using it.  Argument
+            // buffer_instance is the GPU instance of the Vertex_Buffer about to be drawn.  Returns the variant
+            // of this Shader that was selected.
+
+            // Find the variant of this Shader compiled with the #defines this draw needs, or else compile it:
+            const defines = this.glsl_defines(program_state, material), gpu_instance = this.gpu_instances.get(context),
+                variant = gpu_instance && gpu_instance.variants.get(Shader.variant_key(defines))
+                    || this.copy_onto_graphics_card(context, defines);
+            // Don't draw with a program that failed to build; throw the same Shader_Error as last time.
+            if (variant.error)
+                throw variant.error;
+
+            context.useProgram(variant.program);
 
             // --- Send over all the values needed by this particular shader to the GPU: ---
-            this.update_GPU(context, gpu_instance.gpu_addresses, program_state, model_transform, material);
+            this.update_GPU(context, variant.gpu_addresses, program_state, model_transform, material);
+
+            // --- Point the shader's attributes at the shape's buffers. ---
+            // A Vertex Array Object remembers all of those settings, so that one call can restore them
+            // on later draws.  Keep one VAO for each pairing of this shader with a shape, and rebuild it
+            // if either of them have been copied to the GPU again since.
+            const vao_api = Shader.vertex_array_api(context);
+            const cached = vao_api && buffer_instance.vertex_arrays.get(variant);
+            if (!vao_api)
+                this.point_attributes(context, variant, buffer_instance);
+            else if (cached && cached.buffer_generation == buffer_instance.generation
+                && cached.shader_generation == variant.generation)
+                vao_api.bind(cached.vao);
+            else {
+                if (cached) {
+                    vao_api.remove(cached.vao);
+                    buffer_instance.vertex_arrays.delete(variant);
+                }
+                const vao = vao_api.create();
+                vao_api.bind(vao);
+                try {
+                    this.point_attributes(context, variant, buffer_instance);
+                } catch (error) {
+                    // Don't leave a half-made VAO bound, where later buffer binds would land in it:
+                    vao_api.bind(null);
+                    vao_api.remove(vao);
+                    throw error;
+                }
+                buffer_instance.vertex_arrays.set(variant,
+                    {vao, buffer_generation: buffer_instance.generation, shader_generation: variant.generation});
+            }
+            return variant;
+        }
 
+        point_attributes(context, variant, buffer_instance) {
+            // (Internal helper function)
             // --- Turn on all the correct attributes and make sure they're pointing to the correct ranges in GPU memory. ---
-            for (let [attr_name, attribute] of Object.entries(gpu_instance.gpu_addresses.shader_attributes)) {
-                if (!attribute.enabled) {
-                    if (attribute.index >= 0) context.disableVertexAttribArray(attribute.index);
+            // Attributes found among the shape's per-instance buffers advance once per instance instead of once per
+            // vertex.  Those the shape has no buffer for at all are left off, so they read a constant value instead.
+            const instancing = Vertex_Buffer.instancing_api(context);
+            for (let [attr_name, attribute] of Object.entries(variant.gpu_addresses.shader_attributes)) {
+                const per_instance = attr_name in buffer_instance.instance_buffer_pointers,
+                    buffer = per_instance ? buffer_instance.instance_buffer_pointers[attr_name]
+                        : buffer_instance.webGL_buffer_pointers[attr_name];
+                if (!attribute.enabled || !buffer) {
+                    if (attribute.index >= 0)
+                        for (let k = 0; k < attribute.slots; k++) context.disableVertexAttribArray(attribute.index + k);
                     continue;
                 }
-                context.enableVertexAttribArray(attribute.index);
-                context.bindBuffer(context.ARRAY_BUFFER, buffer_pointers[attr_name]);
                 // Activate the correct buffer.
-                context.vertexAttribPointer(attribute.index, attribute.size, attribute.type,
-                    attribute.normalized, attribute.stride, attribute.pointer);
-                // Populate each attribute
-                // from the active buffer.
+                context.bindBuffer(context.ARRAY_BUFFER, buffer);
+                // Use the size, type, and normalization of the numbers in the shape's buffer.  If the shape
+                // interleaved its arrays into one buffer, also use the spacing (stride) between vertices and
+                // the offset (pointer) within one that it laid out.  Otherwise use the attribute's own; a
+                // stride and pointer of zero mean a tightly packed buffer of its own.
+                const layout = per_instance ? attribute : {...attribute, ...buffer_instance.buffer_layouts[attr_name]};
+                if (attribute.integer && layout.type == context.FLOAT)
+                    throw new Shader_Error(this, "attributes", `Attribute "${attr_name}" holds integers, but the ` +
+                        "shape's array of that name holds floats.  Call set_component_type() on the shape to store " +
+                        "that array as integers.", undefined, variant.defines);
+                // A matrix attribute's columns sit side by side in each entry of the buffer:
+                const size = attribute.slots > 1 ? attribute.size : layout.size || attribute.size,
+                    column_bytes = 4 * attribute.size,
+                    stride = layout.stride || (attribute.slots > 1 ? attribute.slots * column_bytes : 0);
+                for (let k = 0; k < attribute.slots; k++) {
+                    context.enableVertexAttribArray(attribute.index + k);
+                    // Populate each attribute from the active buffer.  Integer attributes need their own
+                    // function, which leaves the numbers as integers:
+                    if (attribute.integer)
+                        context.vertexAttribIPointer(attribute.index + k, size, layout.type, stride,
+                            layout.pointer + k * column_bytes);
+                    else context.vertexAttribPointer(attribute.index + k, size, layout.type,
+                        layout.normalized, stride, layout.pointer + k * column_bytes);
+                    if (instancing) instancing.divisor(attribute.index + k, per_instance ? 1 : 0);
+                }
             }
         }
 
-        // Your custom Shader has to override the following functions:
+        settings() {
+            // settings(): The options this Shader was made with, which to_json() saves and from_json() puts
+            // back.  Other fields, like edited GLSL code or scratch space, aren't saved.  There are none by
+            // default; override this if your constructor takes any, as Phong_Shader does with num_lights.
+            return {}
+        }
+
+        to_json() {
+            // to_json(): Shaders are saved as their class name, plus their settings().
+            return {class: this.constructor.name, values: to_json(this.settings())}
+        }
+
+        static from_json(data, registry) {
+            // from_json(): Many Materials share one Shader, so re-use the Shader that was already made
+            // from identical data, instead of compiling another copy of it.
+            if (!this.hasOwnProperty("loaded_from_json"))
+                this.loaded_from_json = new Map();
+            const key = JSON.stringify(data.values);
+            if (!this.loaded_from_json.has(key))
+                this.loaded_from_json.set(key, Object.assign(new this(), from_json(data.values, registry)));
+            return this.loaded_from_json.get(key);
+        }
+
+        // Your custom Shader has to override the first two of the following functions; update_GPU() is optional:
         vertex_glsl_code() {
         }
 
         fragment_glsl_code() {
         }
 
-        update_GPU() {
+        update_GPU(context, gpu_addresses, program_state, model_transform, material) {
+            // update_GPU(): Define how to synchronize our JavaScript's variables to the GPU's.  By default, any
+            // uniform variable in the shader whose name matches a field of the Material or the Program_State
+            // gets sent automatically; when both have the field, the Material's wins.  So do "model_transform"
+            // and the products "projection_camera_transform" and "projection_camera_model_transform", if the
+            // shader declares them.  Samplers get sent Textures.  Override this to send values any other way.
+            // This runs on every draw, so the matrix products go into scratch Mat4s kept on the Shader.
+            const P = program_state.projection_transform, C = program_state.camera_inverse,
+                uniforms = gpu_addresses.shader_uniforms,
+                scratch = this.uniform_scratch || (this.uniform_scratch =
+                    {PC: Mat4.identity(), PCM: Mat4.identity(), matrices: {}}),
+                matrices = scratch.matrices;
+            matrices.model_transform = model_transform;
+            matrices.projection_camera_transform = matrices.projection_camera_model_transform = undefined;
+            if (P && C && (uniforms.projection_camera_transform || uniforms.projection_camera_model_transform)) {
+                matrices.projection_camera_transform = Mat4.multiply(P, C, scratch.PC);
+                matrices.projection_camera_model_transform = Mat4.multiply(scratch.PC, model_transform, scratch.PCM);
+            }
+            this.send_uniforms(context, gpu_addresses, material, program_state, matrices);
+        }
+
+        send_uniforms(context, gpu_addresses, ...sources) {
+            // send_uniforms(): Send each of the named values to the shader's uniform variable of the same name,
+            // converted to the uniform's type.  Each name is looked up in the source objects in order, and the
+            // first one that has it wins.  Numbers, booleans, Vectors, Colors, Mat4s, and arrays of those can
+            // be sent; other values (such as a list of Lights) are skipped.  Each sampler gets its own texture
+            // unit, in order, if its value is a Texture that has loaded.
+            let texture_unit = 0;
+            for (let name in gpu_addresses.shader_uniforms) {
+                const uniform = gpu_addresses.shader_uniforms[name];
+                let value;
+                for (let i = 0; i < sources.length && (value === undefined || value === null); i++)
+                    value = sources[i] && sources[i][name];
+                if (value === undefined || value === null)
+                    continue;
+                if (uniform.sampler) {
+                    if (!(value instanceof Texture) || !value.ready)
+                        continue;
+                    value.activate(context, texture_unit);
+                    context.uniform1i(uniform.location, texture_unit++);
+                    continue;
+                }
+                const setter = Shader.uniform_setters[uniform.type];
+                let data = Shader.uniform_data(value);
+                if (!setter || !data)
+                    continue;
+                const [method, components] = setter;
+                // Drop any extra components, such as when sending a Vector4 to a vec3:
+                if (uniform.size == 1 && data.length > components)
+                    data = data.slice(0, components);
+                if (method.startsWith("uniformMatrix"))
+                    context[method](uniform.location, false, data);
+                else if (method.endsWith("uiv"))
+                    context[method](uniform.location, Uint32Array.from(data));
+                else if (method.endsWith("iv"))
+                    context[method](uniform.location, Int32Array.from(data));
+                else context[method](uniform.location, data);
+            }
+        }
+
+        static uniform_data(value) {
+            // uniform_data(): Flatten a value into a list of numbers for sending to a uniform, or return
+            // undefined if it can't be.  Mat4s are already in the column-major order that the GPU expects.
+            if (typeof value == "number" || typeof value == "boolean")
+                return [+value];
+            if (value instanceof Mat4)
+                return value.data;
+            if (ArrayBuffer.isView(value))
+                return value;
+            if (!Array.isArray(value) || !value.length)
+                return undefined;
+            if (value.every(x => typeof x == "number"))
+                return value;
+            if (value.every(x => ArrayBuffer.isView(x) || x instanceof Mat4))
+                return Matrix.flatten_2D_to_1D(value);
         }
 
         // *** How those four functions work (and how GPU shader programs work in general):
 
         // vertex_glsl_code() and fragment_glsl_code() should each return strings that contain
-        // code for a custom vertex shader and fragment shader, respectively.
+        // code for a custom vertex shader and fragment shader, respectively.  By default these are in
+        // GLSL ES 1.00.  To use GLSL ES 3.00 instead (on a WebGL2 context only), begin both strings
+        // with "#version 300 es".
 
         // The "Vertex Shader" is code that is sent to the graphics card at runtime, where on each
         // run it gets compiled and linked there.  Thereafter, all of your calls to draw shapes will
@@ -1186,10 +3576,31 @@ const Shader = tiny.Shader =
         // new triangle is closer to the camera, and even if so, blending settings may interpolate some
         // of the old color into the result.  Finally, an image is displayed onscreen.
 
-        // You must define an update_GPU() function that includes the extra custom JavaScript code
-        // needed to populate your particular shader program with all the data values it is expecting.
+        // Your shader program's uniform variables get filled in automatically from the Material and
+        // Program_State fields with the same names.  For anything more, override update_GPU() with the extra
+        // custom JavaScript code needed to populate your particular shader program with all the data values
+        // it is expecting.
+
+        // Shared pieces of GLSL code can go in Shader.chunks, to be pulled into any shader's code with a line
+        // like "#include <name>".  Parts of a shader that only some of its uses need can go between "#ifdef"
+        // and "#endif" lines, to be switched on by glsl_defines() when needed.
     }
 
+// Vertex Array Object functions for each WebGL context, looked up by Shader.vertex_array_api():
+Shader.vertex_array_apis = new WeakMap();
+// For each GLSL type of uniform variable, the WebGL function that sends it, and how many numbers it holds:
+Shader.uniform_setters = {
+    0x1406: ["uniform1fv", 1], 0x8B50: ["uniform2fv", 2], 0x8B51: ["uniform3fv", 3], 0x8B52: ["uniform4fv", 4],
+    0x1404: ["uniform1iv", 1], 0x8B53: ["uniform2iv", 2], 0x8B54: ["uniform3iv", 3], 0x8B55: ["uniform4iv", 4],
+    0x8B56: ["uniform1iv", 1], 0x8B57: ["uniform2iv", 2], 0x8B58: ["uniform3iv", 3], 0x8B59: ["uniform4iv", 4],
+    0x1405: ["uniform1uiv", 1], 0x8DC6: ["uniform2uiv", 2], 0x8DC7: ["uniform3uiv", 3], 0x8DC8: ["uniform4uiv", 4],
+    0x8B5A: ["uniformMatrix2fv", 4], 0x8B5B: ["uniformMatrix3fv", 9], 0x8B5C: ["uniformMatrix4fv", 16],
+    0x8B65: ["uniformMatrix2x3fv", 6], 0x8B66: ["uniformMatrix2x4fv", 8], 0x8B67: ["uniformMatrix3x2fv", 6],
+    0x8B68: ["uniformMatrix3x4fv", 12], 0x8B69: ["uniformMatrix4x2fv", 8], 0x8B6A: ["uniformMatrix4x3fv", 12]
+};
+// Named pieces of GLSL code that any Shader's code can pull in with "#include <name>".  Add your own:
+Shader.chunks = {};
+
 
 const Texture = tiny.Texture =
     class Texture extends Graphics_Card_Object {
@@ -1219,12 +3630,14 @@ const Texture = tiny.Texture =
             // copied over, so get a pointer to the existing instance.
             const gpu_instance = super.copy_onto_graphics_card(context, initial_gpu_representation);
 
-            if (!gpu_instance.texture_buffer_pointer) gpu_instance.texture_buffer_pointer = context.createTexture();
+            // A brand new instance (such as after a lost context is restored) always needs the settings:
+            const is_new = !gpu_instance.texture_buffer_pointer;
+            if (is_new) gpu_instance.texture_buffer_pointer = context.createTexture();
 
             const gl = context;
             gl.bindTexture(gl.TEXTURE_2D, gpu_instance.texture_buffer_pointer);
 
-            if (need_initial_settings) {
+            if (need_initial_settings || is_new) {
                 gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
                 gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
                 // Always use bi-linear sampling when zoomed out.
@@ -1241,6 +3654,11 @@ const Texture = tiny.Texture =
             return gpu_instance;
         }
 
+        free_gpu_instance(gl, gpu_instance) {
+            // free_gpu_instance(): Delete the texture image from GPU memory.
+            gl.deleteTexture(gpu_instance.texture_buffer_pointer);
+        }
+
         activate(context, texture_unit = 0) {
             // activate(): Selects this Texture in GPU memory so the next shape draws using it.
             // Optionally select a texture unit in case you're using a shader with many samplers.
@@ -1251,6 +3669,21 @@ const Texture = tiny.Texture =
             context.activeTexture(context["TEXTURE" + texture_unit]);
             context.bindTexture(context.TEXTURE_2D, gpu_instance.texture_buffer_pointer);
         }
+
+        to_json() {
+            // to_json(): Textures are saved by URL, not by their pixels.
+            return {class: this.constructor.name, filename: this.filename, min_filter: this.min_filter}
+        }
+
+        static from_json(data) {
+            // from_json(): Load each image file only once, no matter how many Materials use it.
+            if (!this.hasOwnProperty("loaded_from_json"))
+                this.loaded_from_json = new Map();
+            const key = data.filename + " " + data.min_filter;
+            if (!this.loaded_from_json.has(key))
+                this.loaded_from_json.set(key, new this(data.filename, data.min_filter));
+            return this.loaded_from_json.get(key);
+        }
     }
 
 
@@ -1258,9 +3691,10 @@ const Program_State = tiny.Program_State =
     class Program_State extends Container {
         // **Program_State** stores any values that affect how your whole scene is drawn,
         // such as its current lights and the camera position.  Class Shader uses whatever
-        // values are wrapped here as inputs to your custom shader program.  Your Shader
-        // subclass must override its method "update_GPU()" to define how to send your
-        // Program_State's particular values over to your custom shader program.
+        // values are wrapped here as inputs to your custom shader program.  By default, each
+        // value goes to the shader's uniform variable of the same name, if there is one.  Your
+        // Shader subclass can override its method "update_GPU()" to define other ways to send
+        // your Program_State's particular values over to your custom shader program.
         constructor(camera_transform = Mat4.identity(), projection_transform = Mat4.identity()) {
             super();
             this.set_camera(camera_transform);
@@ -1283,35 +3717,54 @@ const Webgl_Manager = tiny.Webgl_Manager =
     class Webgl_Manager {
         // **Webgl_Manager** manages a whole graphics program for one on-page canvas, including its
         // textures, shapes, shaders, and scenes.  It requests a WebGL context and stores Scenes.
-        constructor(canvas, background_color, dimensions) {
+        // Pass in options {webgl2: true} to ask for a WebGL2 context, which falls back to WebGL1
+        // on browsers without it.  Check "webgl_version" (1 or 2) to see which one you got.
+        constructor(canvas, background_color, dimensions, options = {}) {
             const members = {
                 instances: new Map(),
                 scenes: [],
                 prev_time: 0,
                 canvas,
+                background_color,
                 scratchpad: {},
+                shader_errors: new Map(),
                 program_state: new Program_State()
             };
             Object.assign(this, members);
             // Get the GPU ready, creating a new WebGL context for this canvas:
-            for (let name of ["webgl", "experimental-webgl", "webkit-3d", "moz-webgl"]) {
+            const names = ["webgl", "experimental-webgl", "webkit-3d", "moz-webgl"];
+            for (let name of options.webgl2 ? ["webgl2", ...names] : names) {
                 this.context = this.canvas.getContext(name);
                 if (this.context) break;
             }
             if (!this.context) throw "Canvas failed to make a WebGL context.";
             const gl = this.context;
+            this.webgl_version = Webgl_Manager.webgl_version(gl);
 
             this.set_size(dimensions);
-
-            gl.clearColor.apply(gl, background_color);           // Tell the GPU which color to clear the canvas with each frame.
-            gl.getExtension("OES_element_index_uint");           // Load an extension to allow shapes with more than 65535 vertices.
-            gl.enable(gl.DEPTH_TEST);                            // Enable Z-Buffering test.
-            // Specify an interpolation method for blending "transparent" triangles over the existing pixels:
-            gl.enable(gl.BLEND);
-            gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
-            // Store a single red pixel, as a placeholder image to prevent a console warning:
-            gl.bindTexture(gl.TEXTURE_2D, gl.createTexture());
-            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([255, 0, 0, 255]));
+            this.init_gl_state();
+
+            // The browser can take away our WebGL context at any time (such as when the GPU resets), which
+            // erases everything we stored on the GPU.  Pause drawing until it gives the context back.
+            // Calling preventDefault() tells the browser that we can handle having it restored:
+            canvas.addEventListener("webglcontextlost", event => {
+                event.preventDefault();
+                this.context_lost = true;
+                if (window.cancelAnimationFrame)
+                    window.cancelAnimationFrame(this.event);
+                // Forget the lost GPU objects, and the extensions that came from the old context:
+                Graphics_Card_Object.forget_context(gl);
+                Shader.vertex_array_apis.delete(gl);
+                Vertex_Buffer.instancing_apis.delete(gl);
+            }, false);
+            // Once it's restored, set the context up again and resume drawing.  Each Shape, Shader, and
+            // Texture copies itself onto the GPU again the first time it's used:
+            canvas.addEventListener("webglcontextrestored", () => {
+                this.context_lost = false;
+                this.init_gl_state();
+                if (!this.disposed)
+                    this.event = window.requestAnimFrame(this.render.bind(this));
+            }, false);
 
             // Find the correct browser's version of requestAnimationFrame() needed for queue-ing up re-display events:
             window.requestAnimFrame = (w =>
@@ -1322,6 +3775,87 @@ const Webgl_Manager = tiny.Webgl_Manager =
                 })(window);
         }
 
+        init_gl_state() {
+            // init_gl_state(): Set up the settings that our WebGL context starts with.  Called when the context
+            // is first made, and again if it is lost and then restored.
+            const gl = this.context;
+            gl.viewport(0, 0, this.width, this.height);
+            gl.clearColor.apply(gl, this.background_color);      // Tell the GPU which color to clear the canvas with each frame.
+            gl.getExtension("OES_element_index_uint");           // Load an extension to allow shapes with more than 65535 vertices.
+            // Turn on Z-Buffering, and blending of "transparent" triangles over the existing pixels.  Forget what
+            // apply_render_state() has set before, in case this is a new context:
+            this.render_state_cache = {};
+            this.apply_render_state();
+            // Store a single red pixel, as a placeholder image to prevent a console warning:
+            gl.bindTexture(gl.TEXTURE_2D, this.placeholder_texture = gl.createTexture());
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([255, 0, 0, 255]));
+        }
+
+        apply_render_state(render_state = {}) {
+            // apply_render_state(): Set up how the next shapes drawn mix into the canvas, using a Material's
+            // "render_state" field.  Any options it leaves out use Webgl_Manager.default_render_state:
+            //  "blend":  A name from Webgl_Manager.blend_modes, such as "alpha" (for transparency) or
+            //            "additive" (for glowing particles), a pair of WebGL blend factor names like
+            //            ["ONE", "ONE_MINUS_SRC_ALPHA"], or false to simply overwrite pixels.
+            //  "depth_test":  Whether to hide pixels behind what's already drawn.
+            //  "depth_write":  Whether to mark drawn pixels as blocking what's behind them.  Turn this off
+            //                  for see-through shapes like glass, and draw them after solid ones.
+            //  "cull":  Skip triangles facing away from the camera ("BACK"), facing it ("FRONT"), or none (false).
+            //  "polygon_offset":  A pair [factor, units] that nudges the shape's depth, so that decals drawn
+            //                     onto a surface win against it.  Negative values move it closer.  True
+            //                     means [-1, -1], which is usually enough for a decal.  Or false.
+            // Shape's draw() calls this on every draw, so it only makes WebGL calls for settings that changed.
+            const gl = this.context, cache = this.render_state_cache;
+            const option = name => name in render_state ? render_state[name] : Webgl_Manager.default_render_state[name];
+            const set = (name, value, apply) => {
+                if (cache[name] === value) return;
+                cache[name] = value;
+                apply();
+            };
+            const enable = (capability, on) =>
+                set(capability, !!on, () => on ? gl.enable(gl[capability]) : gl.disable(gl[capability]));
+
+            const blend = option("blend"), [source, destination] = typeof blend == "string"
+                                                                   ? Webgl_Manager.blend_modes[blend] || [] : blend || [];
+            if (blend && !(gl[source] >= 0 && gl[destination] >= 0))
+                throw `Webgl_Manager: Unknown blend mode ${JSON.stringify(blend)}; use false, a pair of WebGL blend ` +
+                `factors, or one of: ${Object.keys(Webgl_Manager.blend_modes).join(", ")}.`;
+            enable("BLEND", blend);
+            if (blend)
+                set("blendFunc", source + " " + destination, () => gl.blendFunc(gl[source], gl[destination]));
+            enable("DEPTH_TEST", option("depth_test"));
+            const depth_write = !!option("depth_write");
+            set("depthMask", depth_write, () => gl.depthMask(depth_write));
+            const cull = option("cull") === true ? "BACK" : option("cull");
+            enable("CULL_FACE", cull);
+            if (cull)
+                set("cullFace", cull, () => gl.cullFace(gl[cull]));
+            const offset = option("polygon_offset") === true ? [-1, -1] : option("polygon_offset");
+            if (offset && !(offset.length == 2 && Array.from(offset).every(x => typeof x == "number" && isFinite(x))))
+                throw `Webgl_Manager: Unknown polygon_offset ${JSON.stringify(offset)}; use false, true, or a pair of ` +
+                `numbers [factor, units].`;
+            enable("POLYGON_OFFSET_FILL", offset);
+            if (offset)
+                set("polygonOffset", offset.join(" "), () => gl.polygonOffset(...offset));
+        }
+
+        simulate_context_loss(restore_after = 1000) {
+            // simulate_context_loss(): For testing.  Use the WEBGL_lose_context extension to make the browser
+            // drop this canvas's context, the same way it would if the GPU reset.  The context is restored
+            // after restore_after milliseconds, unless that's null.
+            const extension = this.context.getExtension("WEBGL_lose_context");
+            if (!extension)
+                throw "This browser doesn't offer the WEBGL_lose_context extension, so it can't simulate losing the context.";
+            extension.loseContext();
+            if (restore_after !== null)
+                setTimeout(() => extension.restoreContext(), restore_after);
+        }
+
+        static webgl_version(gl) {
+            // webgl_version(): Returns 2 if the given context is WebGL2, or else 1.
+            return typeof WebGL2RenderingContext !== "undefined" && gl instanceof WebGL2RenderingContext ? 2 : 1
+        }
+
         set_size(dimensions = [1080, 600]) {
             // set_size():  Allows you to re-size the canvas anytime.  To work, it must change the
             // size in CSS, wait for style to re-flow, and then change the size again within canvas
@@ -1336,14 +3870,76 @@ const Webgl_Manager = tiny.Webgl_Manager =
             this.context.viewport(0, 0, width, height);
         }
 
+        show_shader_error(shader, error) {
+            // show_shader_error(): List a Shader_Error in an overlay on top of the canvas, until that Shader
+            // works again.  Called by Shape's draw() whenever it can't use a Shader.
+            // Each variant of a Shader (see its glsl_defines()) can fail separately, so list them separately:
+            const key = Shader.variant_key(error.defines || {}), errors = this.shader_errors.get(shader) || new Map();
+            if (errors.get(key) === error)
+                return;
+            this.shader_errors.set(shader, errors.set(key, error));
+            this.update_error_overlay();
+        }
+
+        clear_shader_error(shader, defines) {
+            // clear_shader_error(): Remove a Shader's errors from the overlay, or just those of the variant
+            // compiled with "defines", if given.
+            const errors = this.shader_errors.get(shader);
+            if (!errors || defines && !errors.delete(Shader.variant_key(defines)))
+                return;
+            if (!defines || !errors.size)
+                this.shader_errors.delete(shader);
+            this.update_error_overlay();
+        }
+
+        update_error_overlay() {
+            // update_error_overlay(): Fill in the overlay with the current Shader_Errors, making it if needed,
+            // or hide it if there are none.  It sits right after the canvas, in the same spot.
+            if (!this.error_overlay) {
+                this.error_overlay = document.createElement("pre");
+                Object.assign(this.error_overlay.style, {
+                    position: "absolute", zIndex: 1, margin: 0, padding: "10px", boxSizing: "border-box",
+                    overflow: "auto", whiteSpace: "pre-wrap", font: "12px monospace",
+                    color: "#fdd", background: "rgba(40, 0, 0, .85)"
+                });
+                this.canvas.insertAdjacentElement("afterend", this.error_overlay);
+            }
+            Object.assign(this.error_overlay.style, {
+                display: this.shader_errors.size ? "block" : "none",
+                left: this.canvas.offsetLeft + "px", top: this.canvas.offsetTop + "px",
+                width: this.width + "px", maxHeight: this.height + "px"
+            });
+            this.error_overlay.textContent = [...this.shader_errors.values()].flatMap(errors => [...errors.values()])
+                .map(e => e.message).join("\n\n");
+        }
+
+        dispose() {
+            // dispose():  Tear down this canvas's whole graphics program:  Stop drawing frames, free the GPU
+            // memory of every Shape, Shader, and Texture copied onto this canvas's context, and let go of
+            // the Scenes.  The same objects can still be used on other canvases.
+            this.disposed = true;
+            if (window.cancelAnimationFrame)
+                window.cancelAnimationFrame(this.event);
+            for (let object of Graphics_Card_Object.objects_on(this.context))
+                object.dispose(this.context);
+            this.context.deleteTexture(this.placeholder_texture);
+            if (this.error_overlay)
+                this.error_overlay.remove();
+            this.scenes = [];
+        }
+
         render(time = 0) {
             // render(): Draw a single frame of animation, using all loaded Scene objects.  Measure
             // how much real time has transpired in order to animate shapes' movements accordingly.
+            if (this.disposed || this.context_lost)
+                return;
             this.program_state.animation_delta_time = time - this.prev_time;
             if (this.program_state.animate) this.program_state.animation_time += this.program_state.animation_delta_time;
             this.prev_time = time;
 
             const gl = this.context;
+            // Go back to the default render state, since clearing the z-buffer only works while depth writes are on:
+            this.apply_render_state();
             gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
             // Clear the canvas's pixels and z-buffer.
 
@@ -1360,6 +3956,145 @@ const Webgl_Manager = tiny.Webgl_Manager =
         }
     }
 
+// The render state that a Material gets for any options its "render_state" leaves out.  See apply_render_state():
+Webgl_Manager.default_render_state = {
+    blend: "alpha", depth_test: true, depth_write: true, cull: false, polygon_offset: false
+};
+// Named pairs of WebGL blend factors, for a Material's render_state.blend.  The source factor scales the new
+// pixel's color, and the destination factor scales the color already in the canvas, before they're added:
+Webgl_Manager.blend_modes = {
+    alpha: ["SRC_ALPHA", "ONE_MINUS_SRC_ALPHA"], premultiplied_alpha: ["ONE", "ONE_MINUS_SRC_ALPHA"],
+    additive: ["SRC_ALPHA", "ONE"], multiply: ["DST_COLOR", "ZERO"]
+};
+
+
+const Node = tiny.Node =
+    class Node {
+        // **Node** is one part of a scene graph:  A tree of parts that each have a transform relative to
+        // their parent.  Each Node can optionally draw a Shape with a Material.  Nodes remember their
+        // world transform (the product of all their ancestors' local transforms) and only recompute it
+        // after something above them moves.  Give your Nodes names so you can find() them later to
+        // animate or inspect them individually.  Example usage:
+        //  "const body = new Node( 'body', shapes.box, plastic ), arm = new Node( 'arm', shapes.box, plastic );"
+        //  "body.add( arm.set_transform( Mat4.translation( 2,0,0 ) ) );"
+        //  "body.find( 'arm' ).multiply( Mat4.rotation( .1, 0,0,1 ) );"
+        //  "body.draw_tree( context, program_state );"
+        // Always change a Node's local_transform through set_transform() or multiply(), so that its
+        // descendants know to update.
+        constructor(name, shape, material, local_transform = Mat4.identity()) {
+            Object.assign(this, {name, shape, material, local_transform: local_transform.copy()});
+            Object.assign(this, {children: [], parent: undefined, visible: true, draw_type: "TRIANGLES"});
+            this.world_matrix = Mat4.identity();
+            this.dirty = true;
+        }
+
+        set_transform(m) {
+            // set_transform(): Replace the local transform with a copy of m.
+            this.local_transform.set(m);
+            return this.mark_dirty();
+        }
+
+        multiply(m) {
+            // multiply(): Post-multiply the local transform by m, moving the Node within its own frame.
+            this.local_transform.post_multiply(m);
+            return this.mark_dirty();
+        }
+
+        mark_dirty() {
+            // mark_dirty(): Flag this Node's world transform, and its descendants', as out of date.  A
+            // Node that is already dirty must already have dirty descendants, so we stop there.
+            if (!this.dirty) {
+                this.dirty = true;
+                for (let child of this.children) child.mark_dirty();
+            }
+            return this;
+        }
+
+        world_transform() {
+            // world_transform(): The Node's local transform composed with all of its ancestors'.
+            if (this.dirty) {
+                if (this.parent)
+                    Mat4.multiply(this.parent.world_transform(), this.local_transform, this.world_matrix);
+                else
+                    this.world_matrix.set(this.local_transform);
+                this.dirty = false;
+            }
+            return this.world_matrix;
+        }
+
+        add(...children) {
+            // add(): Attach Nodes below this one, detaching them from any previous parent.
+            for (let child of children) {
+                if (child.parent)
+                    child.parent.remove(child);
+                child.parent = this;
+                this.children.push(child);
+                child.mark_dirty();
+            }
+            return this;
+        }
+
+        remove(child) {
+            const index = this.children.indexOf(child);
+            if (index >= 0) {
+                this.children.splice(index, 1);
+                child.parent = undefined;
+                child.mark_dirty();
+            }
+            return this;
+        }
+
+        traverse(callback) {
+            // traverse(): Call callback on this Node and then on every descendant, parents first.
+            callback(this);
+            for (let child of this.children) child.traverse(callback);
+        }
+
+        find(name) {
+            // find(): Returns the first Node in this tree with the given name, or undefined.
+            if (this.name === name)
+                return this;
+            for (let child of this.children) {
+                const found = child.find(name);
+                if (found) return found;
+            }
+        }
+
+        draw_tree(context, program_state) {
+            // draw_tree(): Draw this Node's shape and then all of its descendants'.  Invisible Nodes
+            // hide their whole subtree.
+            if (!this.visible)
+                return;
+            if (this.shape && this.material)
+                this.shape.draw(context, program_state, this.world_transform(), this.material, this.draw_type);
+            for (let child of this.children) child.draw_tree(context, program_state);
+        }
+
+        pick(ray) {
+            // pick(): Find the nearest visible Node whose shape's bounding box is hit by a world space
+            // Ray (such as one made by Ray.from_screen_point() for the mouse).  Returns {node, t}, or
+            // undefined on a miss.  Boxes are tested in each Node's local space, where they fit the
+            // shape tightly.
+            if (!this.visible)
+                return undefined;
+            let nearest;
+            if (this.shape && this.shape.arrays.position) {
+                if (this.bounds_shape !== this.shape)
+                    Object.assign(this, {bounds_shape: this.shape, bounds: AABB.from_points(this.shape.arrays.position)});
+                // Transforming the ray by an affine matrix keeps its distances t the same:
+                const t = ray.transformed(Mat4.inverse(this.world_transform())).intersect_box(this.bounds);
+                if (t !== undefined)
+                    nearest = {node: this, t};
+            }
+            for (let child of this.children) {
+                const hit = child.pick(ray);
+                if (hit && (!nearest || hit.t < nearest.t))
+                    nearest = hit;
+            }
+            return nearest;
+        }
+    }
+
 
 const Scene = tiny.Scene =
     class Scene {